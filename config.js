@@ -12,7 +12,70 @@ const CONFIG = {
   pageTimeout: 15000,
   countyPause: 10000,
   
-  // Counties to scrape (all use CivilView)
+  // Record/replay of scraper traffic (see lib/replay.js)
+  replay: {
+    mode: process.env.SCRAPER_MODE || 'live', // 'live' | 'record' | 'replay'
+    fixtureDir: process.env.SCRAPER_FIXTURES || './fixtures'
+  },
+  
+  // Source adapters to run, by id (see scrapers/registry.js).
+  // Anything not listed here, or listed with enabled: false, is skipped.
+  sources: {
+    'civilview-camden': { enabled: true },
+    'civilview-montgomery': { enabled: true },
+    'montco-courts': { enabled: true },
+    'montco-assessment': { enabled: true },
+    'nj-modiv-camden': { enabled: true }
+  },
+  
+  // Equity model assumptions (see lib/equity-model.js)
+  equity: {
+    // 30-year fixed rate by origination year (Freddie Mac PMMS annual averages);
+    // years not listed use the nearest listed year
+    rateByYear: {
+      1990: 10.13, 1991: 9.25, 1992: 8.39, 1993: 7.31, 1994: 8.38, 1995: 7.93, 1996: 7.81,
+      1997: 7.60, 1998: 6.94, 1999: 7.44, 2000: 8.05, 2001: 6.97, 2002: 6.54, 2003: 5.83,
+      2004: 5.84, 2005: 5.87, 2006: 6.41, 2007: 6.34, 2008: 6.03, 2009: 5.04, 2010: 4.69,
+      2011: 4.45, 2012: 3.66, 2013: 3.98, 2014: 4.17, 2015: 3.85, 2016: 3.65, 2017: 3.99,
+      2018: 4.54, 2019: 3.94, 2020: 3.11, 2021: 2.96, 2022: 5.34, 2023: 6.81, 2024: 6.72,
+      2025: 6.60
+    },
+    rateSpread: 0.5,               // ± percentage points on the rate for the debt range
+    termYears: 30,
+    // Loan-to-value at origination by servicer loan type (lib/servicers.js)
+    originationLtv: { fha: 0.965, va: 1.0, conventional: 0.80, 'non-bank': 0.90, private: 0.70, default: 0.85 },
+    ltvSpread: 0.10,               // ± on the LTV for the debt range (refinances, second liens)
+    monthsDelinquentAtFiling: 4,   // payments missed before the complaint is filed
+    escrowRate: 0.025,             // yearly taxes + insurance the servicer advances, share of market value
+    foreclosureCosts: 5000,        // legal fees, late charges, inspections
+    judgmentGrowth: 0.10,          // interest and costs on top of a sheriff sale debt amount, at most
+    annualAppreciation: 0.04,      // applied to the last sale price to get today's value
+    assessmentToMarket: { default: 1.1 }  // market value per dollar of assessed value, by county
+  },
+  
+  // Deal analyzer formulas (see lib/deal-analyzer.js); every value can be
+  // overridden per request on the /deal endpoints
+  deal: {
+    arvPremium: 1.10,          // after-repair value over today's as-is market value
+    arvPercent: 0.70,          // the 70% rule: pay at most this share of ARV, less repairs
+    wholesaleFee: 10000,
+    holdingMonths: 6,
+    holdingCostMonthly: 1500,  // taxes, insurance, utilities while rehabbing and selling
+    // Repairs per square foot by the building's age; first band whose maxAge covers it
+    repairBands: [
+      { maxAge: 15, perSqFt: 12, text: 'Cosmetic (built within 15 years)' },
+      { maxAge: 40, perSqFt: 25, text: 'Moderate (15-40 years old)' },
+      { maxAge: 70, perSqFt: 38, text: 'Heavy (40-70 years old)' },
+      { maxAge: null, perSqFt: 50, text: 'Full gut likely (70+ years old)' }
+    ],
+    defaultSquareFeet: 1500,
+    defaultAge: 50,
+    perBathroom: 6000,         // kitchens and baths drive rehab cost
+    neglectMultiplier: 1.15,   // absentee or estate-owned: likely deferred maintenance
+    minimumRepairs: 10000
+  },
+  
+  // CivilView counties (each becomes a 'civilview-<name>' source)
   counties: [
     {
       id: 1,
@@ -0,0 +1,153 @@
+// Backtest - how well lead grades predicted what actually happened to cases
+// (outcomes from outcome-tracker.js), for one scoring rules version and for
+// alternative weight sets scored against the same historical cases.
+//
+// A case counts as "resolved" once it has any outcome, and "positive" when one
+// of its outcomes is in POSITIVE_OUTCOMES. Unresolved cases show up in the grade
+// table but are left out of precision and ranking.
+//
+// Every rules version, the tested one and the alternatives alike, is replayed on
+// each case's baseline inputs, so the comparison is like for like. The grades the
+// tested version actually gave at the time are reported separately under `recorded`.
+
+const { getOutcomes, OUTCOME_TYPES, POSITIVE_OUTCOMES } = require('./outcome-tracker');
+const { listScoringRuleVersions, mergeRules, DEFAULT_RULES } = require('./scoring-rules');
+const { calculateEnhancedScore } = require('../scrapers/montco-courts');
+
+const GRADES = ['A', 'B', 'C', 'D', 'F'];
+
+// Rebuild the case the scorer expects from frozen baseline inputs
+const baselineCase = (b) => ({
+  daysOpen: b.daysOpen,
+  propertyAddress: b.propertyAddress,
+  defendant: b.defendant,
+  docketSummary: b.docketSummary || {}
+});
+
+// Chance a random positive case outscores a random negative one (ties count half)
+function rankingAuc(scored) {
+  const positives = scored.filter(s => s.positive);
+  const negatives = scored.filter(s => !s.positive);
+  if (positives.length === 0 || negatives.length === 0) return null;
+
+  let wins = 0;
+  for (const p of positives) {
+    for (const n of negatives) {
+      if (p.score > n.score) wins += 1;
+      else if (p.score === n.score) wins += 0.5;
+    }
+  }
+  return Math.round((wins / (positives.length * negatives.length)) * 1000) / 1000;
+}
+
+const ratio = (hits, total) => total > 0 ? Math.round((hits / total) * 1000) / 1000 : null;
+
+// Grade table, A/B precision and ranking for one set of graded cases
+function evaluate(graded, topN) {
+  const byGrade = {};
+  for (const grade of GRADES) {
+    byGrade[grade] = { cases: 0, resolved: 0, positive: 0, unresolved: 0, byOutcome: {} };
+  }
+
+  for (const g of graded) {
+    const row = byGrade[g.grade] || byGrade.F;
+    row.cases++;
+    if (g.outcomes.length === 0) {
+      row.unresolved++;
+      continue;
+    }
+    row.resolved++;
+    if (g.positive) row.positive++;
+    g.outcomes.forEach(type => row.byOutcome[type] = (row.byOutcome[type] || 0) + 1);
+  }
+  for (const row of Object.values(byGrade)) row.positiveRate = ratio(row.positive, row.resolved);
+
+  const resolved = graded.filter(g => g.outcomes.length > 0);
+  const ab = resolved.filter(g => g.grade === 'A' || g.grade === 'B');
+  const top = resolved.slice().sort((a, b) => b.score - a.score).slice(0, topN);
+
+  return {
+    byGrade,
+    precision: {
+      A: ratio(byGrade.A.positive, byGrade.A.resolved),
+      B: ratio(byGrade.B.positive, byGrade.B.resolved),
+      AB: ratio(ab.filter(g => g.positive).length, ab.length),
+      baseRate: ratio(resolved.filter(g => g.positive).length, resolved.length)
+    },
+    ranking: {
+      auc: rankingAuc(resolved),
+      topN: top.length,
+      precisionAtTopN: ratio(top.filter(g => g.positive).length, top.length)
+    }
+  };
+}
+
+// options: { version, alternatives: [{ name, version } | { name, rules }], topN }
+// alternatives with `rules` are patches over the version being tested.
+async function runBacktest(options = {}) {
+  const versions = await listScoringRuleVersions();
+  const current = versions[0];
+  const version = options.version ? parseInt(options.version, 10) : current.version;
+  const tested = versions.find(v => v.version === version);
+  if (!tested) throw new Error(`Unknown scoring rules version ${options.version}`);
+  const testedRules = mergeRules(DEFAULT_RULES, tested.rules);
+
+  const { cases, updatedAt } = await getOutcomes();
+  const entries = Object.values(cases).filter(e => e.baseline);
+  const topN = options.topN || Math.max(10, Math.round(entries.length * 0.1));
+
+  const outcomeInfo = (e) => {
+    const outcomes = OUTCOME_TYPES.filter(type => e.outcomes[type]);
+    return { outcomes, positive: outcomes.some(type => POSITIVE_OUTCOMES.includes(type)) };
+  };
+
+  const replay = (rules) => entries.map(e => {
+    const ls = calculateEnhancedScore(baselineCase(e.baseline), rules);
+    return { caseNumber: e.caseNumber, score: ls.score, grade: ls.grade, ...outcomeInfo(e) };
+  });
+
+  const testedGrades = replay(testedRules);
+  const recordedGrades = entries
+    .filter(e => e.predictions?.[version])
+    .map(e => ({ caseNumber: e.caseNumber, score: e.predictions[version].score, grade: e.predictions[version].grade, ...outcomeInfo(e) }));
+  const gradeOf = new Map(testedGrades.map(g => [g.caseNumber, g.grade]));
+
+  const alternatives = [];
+  for (const alt of options.alternatives || []) {
+    let rules;
+    if (alt.version !== undefined) {
+      const v = versions.find(x => x.version === parseInt(alt.version, 10));
+      if (!v) throw new Error(`Unknown scoring rules version ${alt.version}`);
+      rules = mergeRules(DEFAULT_RULES, v.rules);
+    } else {
+      rules = mergeRules(testedRules, alt.rules);
+    }
+
+    const graded = replay(rules);
+    alternatives.push({
+      name: alt.name || (alt.version !== undefined ? `v${alt.version}` : `alternative ${alternatives.length + 1}`),
+      version: alt.version !== undefined ? parseInt(alt.version, 10) : null,
+      gradeChanges: graded.filter(g => g.grade !== gradeOf.get(g.caseNumber)).length,
+      ...evaluate(graded, topN)
+    });
+  }
+
+  const outcomeCounts = {};
+  entries.forEach(e => Object.keys(e.outcomes).forEach(type => outcomeCounts[type] = (outcomeCounts[type] || 0) + 1));
+
+  return {
+    version,
+    generatedAt: new Date().toISOString(),
+    outcomesUpdatedAt: updatedAt,
+    positiveOutcomes: POSITIVE_OUTCOMES,
+    totalCases: entries.length,
+    resolvedCases: testedGrades.filter(g => g.outcomes.length > 0).length,
+    outcomeCounts,
+    ...evaluate(testedGrades, topN),
+    // The grades this version gave live, for cases it graded before any outcome
+    recorded: { cases: recordedGrades.length, ...evaluate(recordedGrades, topN) },
+    alternatives
+  };
+}
+
+module.exports = { runBacktest };
@@ -0,0 +1,49 @@
+// Case aging - daysOpen, monthsOpen, inSweetSpot and days since the last filing,
+// worked out from commencedDate and docketSummary.lastFilingDate whenever a case
+// is read, instead of the numbers frozen into pipeline.json at scrape time.
+//
+// The age-dependent parts of the lead score (case age band, recency, silence,
+// bankruptcy decay, false hope) still come from the stored score; rescorePipeline()
+// re-ages and re-scores the stored cases once a day to keep those current.
+
+const { CONFIG } = require('../scrapers/montco-courts');
+
+const DAY_MS = 86400000;
+
+// Accepts the stored YYYY-MM-DD and the court's MM/DD/YYYY
+function parseCaseDate(date) {
+  if (!date) return null;
+  let m = date.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return new Date(m[1], m[2] - 1, m[3]);
+  m = date.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  return m ? new Date(m[3], m[1] - 1, m[2]) : null;
+}
+
+// Fresh copy of a case with its ages as of `now`. Cases without a usable date
+// keep whatever was stored.
+function ageCase(c, now = new Date()) {
+  const aged = { ...c };
+
+  const commenced = parseCaseDate(c.commencedDate);
+  if (commenced) {
+    // Same rounding the scraper uses when it picks cases
+    aged.daysOpen = Math.ceil((now - commenced) / DAY_MS);
+    aged.monthsOpen = Math.round(aged.daysOpen / 30);
+    aged.inSweetSpot = aged.daysOpen >= CONFIG.sweetSpotMinMonths * 30 && aged.daysOpen <= CONFIG.sweetSpotMaxMonths * 30;
+  }
+
+  const lastFiling = parseCaseDate(c.docketSummary?.lastFilingDate || c.docket?.lastFilingDate);
+  if (lastFiling) {
+    const daysSinceLastFiling = Math.floor((now - lastFiling) / DAY_MS);
+    if (c.docketSummary) aged.docketSummary = { ...c.docketSummary, daysSinceLastFiling };
+    if (c.docket) aged.docket = { ...c.docket, daysSinceLastFiling };
+  }
+
+  return aged;
+}
+
+function ageCases(cases, now = new Date()) {
+  return (cases || []).map(c => ageCase(c, now));
+}
+
+module.exports = { ageCase, ageCases, parseCaseDate };
@@ -0,0 +1,218 @@
+// Case linker - connects a pre-foreclosure court case to its later sheriff sale
+// listing on CivilView, and builds the property lifecycle across both:
+// filing → docket activity → sheriff sale scheduled → postponed → sold
+
+const STREET_ABBREVIATIONS = {
+  STREET: 'ST', AVENUE: 'AVE', ROAD: 'RD', DRIVE: 'DR', LANE: 'LN', COURT: 'CT',
+  PLACE: 'PL', CIRCLE: 'CIR', BOULEVARD: 'BLVD', TERRACE: 'TER', PIKE: 'PK',
+  TRAIL: 'TRL', PARKWAY: 'PKWY', HIGHWAY: 'HWY', NORTH: 'N', SOUTH: 'S',
+  EAST: 'E', WEST: 'W'
+};
+
+// Court and CivilView write the same case differently ("2023-12345", "23-12345",
+// "2023-CV-012345"). Reduce to "<4-digit year>-<sequence without leading zeros>".
+function normalizeCaseNumber(caseNumber) {
+  if (!caseNumber) return '';
+  const groups = String(caseNumber).match(/\d+/g);
+  if (!groups) return '';
+
+  let year = null;
+  let rest = groups;
+  if (groups[0].length === 4 && groups.length > 1) {
+    year = groups[0];
+    rest = groups.slice(1);
+  } else if (groups[0].length === 2 && groups.length > 1) {
+    year = `20${groups[0]}`;
+    rest = groups.slice(1);
+  } else if (groups[groups.length - 1].length === 2 && groups.length > 1) {
+    // NJ style docket numbers put the year last ("F-012345-23")
+    year = `20${groups[groups.length - 1]}`;
+    rest = groups.slice(0, -1);
+  }
+
+  const sequence = rest.reduce((longest, g) => g.length > longest.length ? g : longest, '');
+  const trimmed = String(parseInt(sequence, 10));
+  return year ? `${year}-${trimmed}` : trimmed;
+}
+
+function normalizeAddress(address) {
+  if (!address) return '';
+  return address
+    .toUpperCase()
+    .split(/A\/K\/A/)[0]
+    .replace(/[.,#]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => STREET_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+// Parcel IDs are written with and without dashes and spaces; compare the digits.
+// Anything too short to be a parcel is ignored.
+function normalizeParcel(parcel) {
+  const digits = String(parcel || '').replace(/\D/g, '');
+  return digits.length >= 6 ? digits : '';
+}
+
+// A parcel we only guessed from an address search is no better than the address
+const parcelConfidence = (caseData) => caseData.parcelMatch?.confidence === 'low' ? 'medium' : 'high';
+
+// Pipeline cases and properties use different field names for the same things
+const caseAddressKey = (c) => {
+  const street = normalizeAddress(c.propertyAddress);
+  return street ? `${street}|${c.propertyZip || ''}` : '';
+};
+const propertyAddressKey = (p) => {
+  const street = normalizeAddress(p.address);
+  return street ? `${street}|${p.zipCode || ''}` : '';
+};
+
+// Prefer the most recent sale date when a case has been listed more than once
+const saleTime = (p) => new Date(p.salesDate).getTime() || 0;
+const latestSale = (properties) => properties.slice().sort((a, b) => saleTime(b) - saleTime(a))[0];
+
+// Find the sheriff sale listing for a pipeline case: case number first, then parcel, then address
+function findSaleListing(caseData, properties) {
+  const sameCounty = properties.filter(p => !caseData.county || p.county === caseData.county);
+
+  const caseKey = normalizeCaseNumber(caseData.caseNumber);
+  if (caseKey) {
+    const matches = sameCounty.filter(p => normalizeCaseNumber(p.courtCase) === caseKey);
+    if (matches.length > 0) return { property: latestSale(matches), matchedBy: 'caseNumber', confidence: 'high' };
+  }
+
+  const parcelKey = normalizeParcel(caseData.parcelNumber);
+  if (parcelKey) {
+    const matches = sameCounty.filter(p => normalizeParcel(p.parcelNumber) === parcelKey);
+    if (matches.length > 0) return { property: latestSale(matches), matchedBy: 'parcel', confidence: parcelConfidence(caseData) };
+  }
+
+  const addressKey = caseAddressKey(caseData);
+  if (addressKey) {
+    const matches = sameCounty.filter(p => propertyAddressKey(p) === addressKey);
+    if (matches.length > 0) return { property: latestSale(matches), matchedBy: 'address', confidence: 'medium' };
+  }
+
+  return null;
+}
+
+// Find the court case behind a sheriff sale listing
+function findPipelineCase(property, cases) {
+  const sameCounty = cases.filter(c => !c.county || c.county === property.county);
+
+  const caseKey = normalizeCaseNumber(property.courtCase);
+  if (caseKey) {
+    const match = sameCounty.find(c => normalizeCaseNumber(c.caseNumber) === caseKey);
+    if (match) return { caseData: match, matchedBy: 'caseNumber', confidence: 'high' };
+  }
+
+  const parcelKey = normalizeParcel(property.parcelNumber);
+  if (parcelKey) {
+    const match = sameCounty.find(c => normalizeParcel(c.parcelNumber) === parcelKey);
+    if (match) return { caseData: match, matchedBy: 'parcel', confidence: parcelConfidence(match) };
+  }
+
+  const addressKey = propertyAddressKey(property);
+  if (addressKey) {
+    const match = sameCounty.find(c => caseAddressKey(c) === addressKey);
+    if (match) return { caseData: match, matchedBy: 'address', confidence: 'medium' };
+  }
+
+  return null;
+}
+
+const isPostponed = (status) => /ADJOURN|POSTPON|CONTINUED|RESCHEDULED/i.test(status || '');
+const isSold = (status) => /SOLD|PURCHASED/i.test(status || '');
+
+// Unified lifecycle for a property, from whichever records we have
+function buildLifecycle(caseData, property) {
+  const stages = [];
+
+  if (caseData) {
+    stages.push({
+      stage: 'filing',
+      date: caseData.commencedDate || null,
+      detail: `Complaint filed (${caseData.caseNumber})`
+    });
+    if (caseData.docket?.entries > 0) {
+      stages.push({
+        stage: 'docket-activity',
+        date: caseData.docket.lastFilingDate || null,
+        detail: `${caseData.docket.entries} docket entries`
+      });
+    }
+  }
+
+  if (property) {
+    const history = property.statusHistory || [];
+    stages.push({
+      stage: 'sheriff-sale-scheduled',
+      date: history[0]?.date || property.salesDate || null,
+      detail: `Sheriff # ${property.sheriffNumber || 'N/A'}, sale ${property.salesDate || 'date TBD'}`
+    });
+
+    const postponements = history.filter(h => isPostponed(h.status));
+    if (postponements.length > 0) {
+      stages.push({
+        stage: 'postponed',
+        date: postponements[postponements.length - 1].date || null,
+        detail: `${postponements.length} postponement(s)`
+      });
+    }
+
+    const sold = history.find(h => isSold(h.status)) || (isSold(property.status) ? { date: property.salesDate } : null);
+    if (sold) {
+      stages.push({ stage: 'sold', date: sold.date || null, detail: property.status });
+    }
+  }
+
+  return {
+    currentStage: stages.length > 0 ? stages[stages.length - 1].stage : null,
+    stages
+  };
+}
+
+// Compact view of the other side of a link, for embedding in API responses
+function summarizeProperty(property, link) {
+  return {
+    propertyId: property.propertyId,
+    sheriffNumber: property.sheriffNumber,
+    courtCase: property.courtCase,
+    salesDate: property.salesDate,
+    status: property.status,
+    debtAmount: property.debtAmount,
+    address: property.address,
+    city: property.city,
+    detailUrl: property.detailUrl,
+    matchedBy: link.matchedBy,
+    confidence: link.confidence
+  };
+}
+
+function summarizeCase(caseData, link) {
+  return {
+    caseNumber: caseData.caseNumber,
+    commencedDate: caseData.commencedDate,
+    plaintiff: caseData.plaintiff,
+    defendant: caseData.defendant,
+    leadScore: caseData.leadScore,
+    leadGrade: caseData.leadGrade,
+    status: caseData.status,
+    detailUrl: caseData.detailUrl,
+    matchedBy: link.matchedBy,
+    confidence: link.confidence
+  };
+}
+
+module.exports = {
+  normalizeCaseNumber,
+  normalizeAddress,
+  normalizeParcel,
+  findSaleListing,
+  findPipelineCase,
+  buildLifecycle,
+  isPostponed,
+  isSold,
+  summarizeProperty,
+  summarizeCase
+};
@@ -0,0 +1,150 @@
+// Change detector - compares the previous state of a collection with what a
+// run just scraped and reports what moved: new and dropped items, grade
+// changes, new docket events, sheriff sale status changes and address changes.
+
+const GRADE_ORDER = ['F', 'D', 'C', 'B', 'A'];
+
+const eventKey = (e) => `${e.date || ''}|${e.type || ''}|${(e.text || '').substring(0, 80)}`;
+
+// Events in current that aren't in previous
+function diffEvents(previous = [], current = []) {
+  const seen = new Set(previous.map(eventKey));
+  return current.filter(e => !seen.has(eventKey(e)));
+}
+
+// Field accessors differ between pipeline cases and sheriff sale properties
+const COLLECTION_FIELDS = {
+  pipeline: {
+    keyField: 'caseNumber',
+    label: (c) => c.propertyAddress ? [c.propertyAddress, c.propertyCity].filter(Boolean).join(', ') : c.defendant || c.caseNumber,
+    address: (c) => [c.propertyAddress, c.propertyCity, c.propertyZip].filter(Boolean).join(', '),
+    // The scraper diffs the whole docket against the docket store (newEvents). Cases
+    // scraped before that only carry the last 5 events, so those are diffed instead.
+    newDocketEvents: (c, previous) => c.docket?.newEvents
+      ?? diffEvents(previous.docket?.recentEvents, c.docket?.recentEvents),
+    statusHistory: () => []
+  },
+  properties: {
+    keyField: 'propertyId',
+    label: (p) => p.address ? [p.address, p.city].filter(Boolean).join(', ') : p.defendant || p.propertyId,
+    address: (p) => [p.address, p.city, p.zipCode].filter(Boolean).join(', '),
+    newDocketEvents: () => [],
+    statusHistory: (p) => p.statusHistory || []
+  }
+};
+
+function describe(fields, item) {
+  return {
+    key: item[fields.keyField],
+    label: fields.label(item),
+    leadGrade: item.leadGrade || null,
+    leadScore: item.leadScore ?? null
+  };
+}
+
+// previousItems: current state before the run; currentItems: what the run scraped.
+// Partial runs (test mode, retries) never report drops since we didn't look everywhere,
+// and neither do keys in keepActive (failed to scrape, see recordRun).
+function detectChanges(collection, previousItems, currentItems, options = {}) {
+  const { partial = false, keepActive = new Set() } = options;
+  const fields = COLLECTION_FIELDS[collection];
+  const previousByKey = new Map(previousItems.map(item => [item[fields.keyField], item]));
+  const currentKeys = new Set(currentItems.map(item => item[fields.keyField]));
+
+  const changes = {
+    newItems: [],
+    droppedItems: [],
+    gradeChanges: [],
+    newDocketEvents: [],
+    statusChanges: [],
+    addressChanges: []
+  };
+
+  for (const item of currentItems) {
+    const key = item[fields.keyField];
+    if (!key) continue;
+    const previous = previousByKey.get(key);
+
+    if (!previous) {
+      changes.newItems.push(describe(fields, item));
+      continue;
+    }
+
+    // Grade upgrades/downgrades
+    if (previous.leadGrade && item.leadGrade && previous.leadGrade !== item.leadGrade) {
+      const direction = GRADE_ORDER.indexOf(item.leadGrade) > GRADE_ORDER.indexOf(previous.leadGrade) ? 'upgrade' : 'downgrade';
+      changes.gradeChanges.push({
+        ...describe(fields, item),
+        from: previous.leadGrade,
+        to: item.leadGrade,
+        fromScore: previous.leadScore ?? null,
+        toScore: item.leadScore ?? null,
+        direction,
+        reason: item.scoreChange?.summary || null
+      });
+    }
+
+    // Docket events we haven't seen before
+    const newEvents = fields.newDocketEvents(item, previous);
+    if (newEvents.length > 0) {
+      changes.newDocketEvents.push({ ...describe(fields, item), events: newEvents });
+    }
+
+    // Sheriff sale status changes (from statusHistory, falling back to status)
+    const previousHistory = fields.statusHistory(previous);
+    const currentHistory = fields.statusHistory(item);
+    const seenStatuses = new Set(previousHistory.map(h => `${h.status}|${h.date}`));
+    const newStatuses = currentHistory.filter(h => !seenStatuses.has(`${h.status}|${h.date}`));
+    if (newStatuses.length > 0 || (collection === 'properties' && previous.status !== item.status)) {
+      changes.statusChanges.push({
+        ...describe(fields, item),
+        from: previous.status || null,
+        to: item.status || null,
+        newEntries: newStatuses
+      });
+    }
+
+    // Address changes (ignore an address appearing for the first time)
+    const previousAddress = fields.address(previous);
+    const currentAddress = fields.address(item);
+    if (previousAddress && currentAddress && previousAddress.toUpperCase() !== currentAddress.toUpperCase()) {
+      changes.addressChanges.push({ ...describe(fields, item), from: previousAddress, to: currentAddress });
+    }
+  }
+
+  if (!partial) {
+    for (const [key, previous] of previousByKey) {
+      if (!currentKeys.has(key) && !keepActive.has(key)) changes.droppedItems.push(describe(fields, previous));
+    }
+  }
+
+  return changes;
+}
+
+function summarizeChanges(changes) {
+  const summary = {};
+  for (const [type, list] of Object.entries(changes)) summary[type] = list.length;
+  summary.upgrades = changes.gradeChanges.filter(c => c.direction === 'upgrade').length;
+  summary.downgrades = changes.gradeChanges.filter(c => c.direction === 'downgrade').length;
+  return summary;
+}
+
+// Combine the change sets of several runs (oldest first) into one response
+function mergeChangeSets(changeSets) {
+  const merged = {
+    newItems: [],
+    droppedItems: [],
+    gradeChanges: [],
+    newDocketEvents: [],
+    statusChanges: [],
+    addressChanges: []
+  };
+  for (const set of changeSets) {
+    for (const type of Object.keys(merged)) {
+      merged[type].push(...(set.changes[type] || []).map(c => ({ ...c, runId: set.runId })));
+    }
+  }
+  return merged;
+}
+
+module.exports = { detectChanges, summarizeChanges, mergeChangeSets };
@@ -0,0 +1,67 @@
+// Checkpoints for long scrapes, so a run killed part way (Render restart,
+// Chrome OOM) can pick up where it left off instead of starting over.
+//
+// A checkpoint is one JSON file under data/ holding every item finished so far
+// in the current run, keyed by case number (or whatever key the scraper uses):
+//   { startedAt, updatedAt, meta, completed: { <key>: <result or null> } }
+// It is rewritten after each item and removed once the run has been saved.
+
+const fs = require('fs').promises;
+const path = require('path');
+const CONFIG = require('../config');
+
+const checkpointPath = (name) => path.join(CONFIG.outputDir, `${name}-checkpoint.json`);
+
+async function readCheckpoint(name) {
+  try {
+    return JSON.parse(await fs.readFile(checkpointPath(name), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// resume: true continues the saved run if there is one; otherwise a new run starts
+async function openCheckpoint(name, options = {}) {
+  const { resume = false, meta = {} } = options;
+  const file = checkpointPath(name);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  const saved = resume ? await readCheckpoint(name) : null;
+  const state = saved || { startedAt: new Date().toISOString(), updatedAt: null, meta, completed: {} };
+
+  // Workers finish concurrently; chain writes so they never interleave
+  let writing = Promise.resolve();
+  const write = () => {
+    writing = writing.then(async () => {
+      state.updatedAt = new Date().toISOString();
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(state));
+      await fs.rename(tmp, file);
+    }).catch(error => console.log(`   ⚠️ Checkpoint write failed: ${error.message}`));
+    return writing;
+  };
+
+  if (!saved) await write();
+
+  return {
+    resumed: !!saved,
+    startedAt: state.startedAt,
+    meta: state.meta,
+    get completedCount() {
+      return Object.keys(state.completed).length;
+    },
+    has: (key) => Object.prototype.hasOwnProperty.call(state.completed, key),
+    get: (key) => state.completed[key],
+    record(key, result) {
+      state.completed[key] = result;
+      return write();
+    },
+    async clear() {
+      await writing;
+      await fs.rm(file, { force: true });
+    }
+  };
+}
+
+module.exports = { openCheckpoint, readCheckpoint };
@@ -0,0 +1,164 @@
+// Deal analyzer - ARV, repair estimate and maximum allowable offer (MAO) for a
+// pipeline case or sheriff sale listing.
+//
+//   ARV      today's as-is market value from the equity estimate (lib/equity-model.js)
+//            × arvPremium
+//   repairs  square feet × the per-square-foot band for the building's age, plus a
+//            fixed amount per bathroom, × neglectMultiplier for absentee or estate owners
+//   MAO      ARV × arvPercent − repairs − wholesale fee − holding costs
+// Then the MAO is set against the estimated debt: an offer below what's owed needs
+// a short sale or the lender's agreement.
+//
+// Formulas live in config.js under `deal`; any of them, and arv, repairs,
+// squareFeet, yearBuilt, bathrooms, can be overridden per request within
+// INPUT_RANGES.
+
+const CONFIG = require('../config');
+const { estimateEquity } = require('./equity-model');
+
+const round = (n) => Math.round(n);
+// Offers are quoted to the nearest $500
+const roundOffer = (n) => Math.round(n / 500) * 500;
+
+// Overridable inputs and the range each must fall in. arvPercent and arvPremium
+// are fractions (0.7, 1.1), not percents.
+const INPUT_RANGES = {
+  arv: { min: 1000, max: 100000000 },
+  repairs: { min: 0, max: 10000000 },
+  squareFeet: { min: 100, max: 100000 },
+  yearBuilt: { min: 1700, max: () => new Date().getFullYear() + 1 },
+  bathrooms: { min: 0, max: 20 },
+  arvPremium: { min: 0.5, max: 2 },
+  arvPercent: { min: 0.01, max: 1 },
+  wholesaleFee: { min: 0, max: 1000000 },
+  holdingMonths: { min: 0, max: 60 },
+  holdingCostMonthly: { min: 0, max: 100000 }
+};
+
+// Overrides from a query string. Throws with .validation set when a value isn't
+// a number or is out of range; absent and empty values are left to the formulas.
+function parseDealInputs(query = {}) {
+  const inputs = {};
+  const errors = [];
+  for (const [key, range] of Object.entries(INPUT_RANGES)) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    const max = typeof range.max === 'function' ? range.max() : range.max;
+    if (!Number.isFinite(value)) errors.push(`${key} must be a number`);
+    else if (value < range.min || value > max) errors.push(`${key} must be between ${range.min} and ${max}`);
+    else inputs[key] = value;
+  }
+  if (errors.length > 0) {
+    const error = new Error(`Invalid deal inputs: ${errors.join('; ')}`);
+    error.validation = errors;
+    throw error;
+  }
+  return inputs;
+}
+
+function estimateRepairs(facts, formula, now) {
+  const squareFeet = facts.squareFeet || formula.defaultSquareFeet;
+  const age = facts.yearBuilt ? Math.max(0, now.getFullYear() - facts.yearBuilt) : formula.defaultAge;
+  const band = formula.repairBands.find(b => b.maxAge === null || age <= b.maxAge);
+  const bathrooms = facts.bathrooms ?? 1;
+
+  const lines = [
+    { item: `${band.text}: ${squareFeet.toLocaleString()} sq ft × $${band.perSqFt}`, amount: squareFeet * band.perSqFt },
+    { item: `${bathrooms} bathroom(s) × $${formula.perBathroom.toLocaleString()}`, amount: Math.ceil(bathrooms) * formula.perBathroom }
+  ];
+  let total = lines.reduce((sum, l) => sum + l.amount, 0);
+  if (facts.neglected) {
+    const extra = total * (formula.neglectMultiplier - 1);
+    lines.push({ item: `Deferred maintenance (${facts.neglected})`, amount: extra });
+    total += extra;
+  }
+  if (total < formula.minimumRepairs) {
+    lines.push({ item: 'Raised to the minimum repair budget', amount: formula.minimumRepairs - total });
+    total = formula.minimumRepairs;
+  }
+
+  return {
+    total: round(total),
+    lines: lines.map(l => ({ ...l, amount: round(l.amount) })),
+    basis: { squareFeet, age, bathrooms, squareFeetAssumed: !facts.squareFeet, ageAssumed: !facts.yearBuilt }
+  };
+}
+
+// record: a pipeline case or sheriff sale listing with propertyEnrichment.
+// options: { saleListing, inputs, now }
+function analyzeDeal(record, options = {}) {
+  const now = options.now || new Date();
+  const inputs = options.inputs || {};
+  const formula = { ...CONFIG.deal, ...inputs };
+  const enrichment = record.propertyEnrichment || {};
+
+  const equity = estimateEquity(record, { saleListing: options.saleListing, now });
+  const asIsValue = equity?.estimatedMarketValue || null;
+
+  // ARV
+  let arv = inputs.arv || null;
+  let arvSource = 'override';
+  if (!arv && asIsValue) {
+    arv = asIsValue * formula.arvPremium;
+    arvSource = 'equity-estimate';
+  }
+  if (!arv) {
+    return { error: 'No market value to work from: the property has no assessment or sale history. Pass ?arv= to analyze it anyway.' };
+  }
+  const arvRange = inputs.arv || !equity
+    ? { low: round(arv), high: round(arv) }
+    : { low: round(equity.marketValueRange.low * formula.arvPremium), high: round(equity.marketValueRange.high * formula.arvPremium) };
+
+  // Repairs
+  const neglected = record.leadType === 'probate' ? 'estate-owned'
+    : enrichment.isAbsenteeOwner ? 'absentee owner' : null;
+  const repairs = inputs.repairs !== undefined
+    ? { total: round(inputs.repairs), lines: [{ item: 'Repair budget (override)', amount: round(inputs.repairs) }], basis: null }
+    : estimateRepairs({
+        squareFeet: inputs.squareFeet || enrichment.squareFeet,
+        yearBuilt: inputs.yearBuilt || enrichment.yearBuilt,
+        bathrooms: inputs.bathrooms ?? enrichment.bathrooms ?? undefined,
+        neglected
+      }, formula, now);
+
+  // MAO
+  const holdingCosts = formula.holdingMonths * formula.holdingCostMonthly;
+  const mao = arv * formula.arvPercent - repairs.total - formula.wholesaleFee - holdingCosts;
+  const maoRange = {
+    low: roundOffer(arvRange.low * formula.arvPercent - repairs.total - formula.wholesaleFee - holdingCosts),
+    high: roundOffer(arvRange.high * formula.arvPercent - repairs.total - formula.wholesaleFee - holdingCosts)
+  };
+
+  const debt = equity?.estimatedDebt ?? null;
+  const spreadOverDebt = debt !== null ? roundOffer(mao - debt) : null;
+
+  return {
+    arv: round(arv),
+    arvRange,
+    arvSource,
+    asIsValue,
+    repairs,
+    holdingCosts: round(holdingCosts),
+    mao: roundOffer(mao),
+    maoRange,
+    estimatedDebt: debt,
+    spreadOverDebt,
+    // Whether an offer at the MAO clears what's owed
+    verdict: mao <= 0 ? 'no-deal'
+      : spreadOverDebt === null ? 'unknown-debt'
+      : spreadOverDebt >= 0 ? 'equity-deal'
+      : 'short-sale',
+    equityConfidence: equity?.confidence || null,
+    formula: {
+      arvPremium: formula.arvPremium,
+      arvPercent: formula.arvPercent,
+      wholesaleFee: formula.wholesaleFee,
+      holdingMonths: formula.holdingMonths,
+      holdingCostMonthly: formula.holdingCostMonthly
+    },
+    overrides: inputs,
+    analyzedAt: now.toISOString()
+  };
+}
+
+module.exports = { analyzeDeal, estimateRepairs, parseDealInputs, INPUT_RANGES };
@@ -0,0 +1,283 @@
+// Docket classifier - maps each court docket entry to a category in a fixed
+// taxonomy and rolls the whole docket up into the `docketSummary` that scoring,
+// API filters, stats and the CSV export read.
+//
+// Categories:
+//   complaint, service, appearance, answer, preliminary-objections, default-motion,
+//   summary-judgment, conciliation, continuance, stay, bankruptcy-suggestion,
+//   bankruptcy-relief, withdrawal-of-counsel, substitution-of-counsel, settlement,
+//   death, order, judgment, praecipe, other
+// An entry can fall in more than one category ("ANSWER WITH NEW MATTER AND
+// COUNTERCLAIM"); its first match is its primary category.
+
+const CATEGORIES = [
+  'complaint', 'service', 'appearance', 'answer', 'preliminary-objections', 'default-motion',
+  'summary-judgment', 'conciliation', 'continuance', 'stay', 'bankruptcy-suggestion',
+  'bankruptcy-relief', 'withdrawal-of-counsel', 'substitution-of-counsel', 'settlement',
+  'death', 'order', 'judgment', 'praecipe', 'other'
+];
+
+// Each rule looks at the upper-cased "type | text" of an entry and returns a
+// subtype when it matches. Rules with several categories return { category, subtype }.
+const RULES = [
+  {
+    category: 'bankruptcy',
+    match: (u) => {
+      if (!/BANKRUPTCY|\bBANKR\b|CHAPTER (7|11|13)\b/.test(u)) return null;
+      if (/DISCHARG/.test(u)) return { category: 'bankruptcy-relief', subtype: 'discharge' };
+      if (/RELIEF FROM (THE )?(AUTOMATIC )?STAY/.test(u)) return { category: 'bankruptcy-relief', subtype: 'relief-from-stay' };
+      if (/DISMISS|CLOSED/.test(u)) return { category: 'bankruptcy-relief', subtype: 'dismissed' };
+      return { category: 'bankruptcy-suggestion', subtype: 'suggestion' };
+    }
+  },
+  {
+    category: 'death',
+    match: (u) => {
+      if (/SUGGESTION OF (THE )?DEATH|NOTICE OF (THE )?DEATH|DEATH CERTIFICATE/.test(u)) return 'suggestion-of-death';
+      if (/SUBSTITUT\w* (OF )?(THE )?(PERSONAL REPRESENTATIVE|ADMINISTRAT|EXECUT|ESTATE)/.test(u)) return 'personal-representative';
+      return null;
+    }
+  },
+  {
+    category: 'stay',
+    match: (u) => {
+      if (/STAY (IS |HAS BEEN )?LIFTED|LIFT(ING)? (OF )?(THE )?STAY|RELIEF FROM (THE )?(AUTOMATIC )?STAY/.test(u)) return 'lifted';
+      if (/\bSTAYED\b|\bSTAY\b/.test(u)) return 'stayed';
+      return null;
+    }
+  },
+  {
+    category: 'service',
+    match: (u) => {
+      if (/ALTERNAT(E|IVE) SERVICE|SPECIAL SERVICE|SERVICE BY (POSTING|PUBLICATION)/.test(u)) return 'alternate';
+      if (/NOT FOUND|FAILURE OF SERVICE|UNABLE TO SERVE|NON.?EST/.test(u)) return 'failed';
+      if (/SERVICE|SERVED|SHERIFF'?S? RETURN/.test(u)) {
+        return /COMPLET|SERVED|ACCEPTANCE|AFFIDAVIT|RETURN OF SERVICE/.test(u) ? 'completed' : 'other';
+      }
+      return null;
+    }
+  },
+  {
+    category: 'complaint',
+    match: (u) => {
+      if (!/\bCOMPLAINT\b/.test(u) || /ANSWER|REPLY|OBJECTION/.test(u)) return null;
+      return /AMENDED/.test(u) ? 'amended' : 'complaint';
+    }
+  },
+  {
+    category: 'counsel',
+    match: (u) => {
+      if (/WITHDRAW/.test(u) && /COUNSEL|APPEARANCE|ATTORNEY/.test(u)) return { category: 'withdrawal-of-counsel', subtype: 'withdrawal' };
+      if (/SUBSTITUT\w* (OF )?(COUNSEL|ATTORNEY|APPEARANCE)/.test(u)) return { category: 'substitution-of-counsel', subtype: 'substitution' };
+      if (/APPEARANCE/.test(u)) return { category: 'appearance', subtype: 'entry' };
+      return null;
+    }
+  },
+  {
+    category: 'answer',
+    match: (u) => {
+      if (/REPLY TO NEW MATTER/.test(u)) return 'reply-to-new-matter';
+      if (/COUNTERCLAIM/.test(u)) return 'counterclaim';
+      if (/\bANSWER\b/.test(u)) return /NEW MATTER/.test(u) ? 'new-matter' : 'answer';
+      if (/OPPOSITION/.test(u)) return 'opposition';
+      return null;
+    }
+  },
+  {
+    category: 'preliminary-objections',
+    match: (u) => /PRELIMINARY OBJECTION/.test(u) ? 'filed' : null
+  },
+  {
+    category: 'default-motion',
+    match: (u) => {
+      if (!/DEFAULT/.test(u)) return null;
+      if (/NOTICE/.test(u)) return 'notice';
+      return /JUDGMENT|JUDGEMENT/.test(u) ? 'judgment' : 'motion';
+    }
+  },
+  {
+    category: 'summary-judgment',
+    match: (u) => /SUMMARY JUDG(E)?MENT/.test(u) ? (/\bORDER\b|GRANTED|DENIED/.test(u) ? 'ruling' : 'motion') : null
+  },
+  {
+    category: 'conciliation',
+    match: (u) => /CONCILIATION|MEDIATION|CONFERENCE|DIVERSION/.test(u) ? 'conciliation' : null
+  },
+  {
+    category: 'continuance',
+    match: (u) => /CONTINUED TO|CONTINUANCE|POSTPONE|RESCHEDULED/.test(u) ? 'continuance' : null
+  },
+  {
+    category: 'settlement',
+    match: (u) => {
+      if (/STIPULATION/.test(u)) return /DISMISS/.test(u) ? 'stipulation-of-dismissal' : 'stipulation';
+      if (/SETTLED/.test(u)) return 'settled';
+      if (/DISCONTINU/.test(u)) return 'discontinued';
+      return null;
+    }
+  },
+  {
+    category: 'praecipe',
+    match: (u) => {
+      if (!/PRAECIPE|\bPRAEC\b/.test(u)) return null;
+      if (/REINSTATE/.test(u)) return 'reinstate';
+      if (/JUDGMENT|JUDGEMENT/.test(u)) return 'judgment';
+      return 'other';
+    }
+  },
+  {
+    category: 'judgment',
+    match: (u) => {
+      if (!/JUDGMENT|JUDGEMENT/.test(u) || /MOTION|PETITION|VACATE|STRIKE|\bOPEN\b/.test(u)) return null;
+      if (/DEFAULT/.test(u)) return 'default';
+      if (/SUMMARY/.test(u)) return 'summary';
+      return 'entered';
+    }
+  },
+  {
+    category: 'order',
+    match: (u) => {
+      if (!/\bORDER\b|\bDECREE\b/.test(u)) return null;
+      if (/DENIED/.test(u)) return 'denied';
+      if (/OVERRULED/.test(u)) return 'overruled';
+      if (/GRANTED|SUSTAINED/.test(u)) return 'granted';
+      return 'order';
+    }
+  }
+];
+
+// Which side an entry was filed by or for, when the text says
+function partyOf(u) {
+  const defendant = u.search(/\b(BY|OF|FOR|FROM) (THE )?(DEFENDANTS?|DEFT)\b|DEFENDANTS?'S?\b|\bDEFT'?S\b/);
+  const plaintiff = u.search(/\b(BY|OF|FOR|FROM) (THE )?(PLAINTIFFS?|PLTF)\b|PLAINTIFFS?'S?\b|\bPLTF'?S\b/);
+  if (defendant === -1 && plaintiff === -1) return null;
+  if (plaintiff === -1) return 'defendant';
+  if (defendant === -1) return 'plaintiff';
+  return defendant < plaintiff ? 'defendant' : 'plaintiff';
+}
+
+function classifyEntry(entry) {
+  const u = `${entry.type || ''} | ${entry.text || ''}`.toUpperCase().replace(/\s+/g, ' ');
+  const matches = [];
+  for (const rule of RULES) {
+    const result = rule.match(u);
+    if (!result) continue;
+    matches.push(typeof result === 'string' ? { category: rule.category, subtype: result } : result);
+  }
+  return {
+    category: matches[0]?.category || 'other',
+    subtype: matches[0]?.subtype || null,
+    matches,
+    party: partyOf(u)
+  };
+}
+
+// Court dates are MM/DD/YYYY
+function parseFilingDate(date) {
+  const m = (date || '').match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  return m ? new Date(m[3], m[1] - 1, m[2]) : null;
+}
+
+// Classify every entry (in docket order) and build the docketSummary
+function classifyDocket(entries, options = {}) {
+  const now = options.now || new Date();
+  const events = (entries || []).map(entry => ({ ...entry, ...classifyEntry(entry) }));
+
+  const has = (category, subtype) => events.some(e =>
+    e.matches.some(m => m.category === category && (!subtype || m.subtype === subtype)));
+  const count = (category) => events.filter(e => e.matches.some(m => m.category === category)).length;
+
+  const byCategory = {};
+  for (const e of events) {
+    for (const m of e.matches) byCategory[m.category] = (byCategory[m.category] || 0) + 1;
+    if (e.matches.length === 0) byCategory.other = (byCategory.other || 0) + 1;
+  }
+
+  // Dates: first/last filing in docket order, days since the latest one
+  const dated = events.map(e => ({ e, d: parseFilingDate(e.date) })).filter(x => x.d);
+  const firstFilingDate = dated[0]?.e.date || null;
+  const lastFilingDate = dated.length > 0 ? dated[dated.length - 1].e.date : null;
+  const latest = dated.reduce((max, x) => (!max || x.d > max ? x.d : max), null);
+  const daysSinceLastFiling = latest ? Math.floor((now - latest) / 86400000) : null;
+
+  // Defendant counsel: last appearance/substitution not followed by a withdrawal
+  let hasDefendantAttorney = false;
+  for (const e of events) {
+    if (e.party === 'plaintiff') continue;
+    if (e.matches.some(m => m.category === 'appearance' || m.category === 'substitution-of-counsel')) hasDefendantAttorney = true;
+    if (e.matches.some(m => m.category === 'withdrawal-of-counsel')) hasDefendantAttorney = false;
+  }
+
+  const defendantFiled = (category, subtypes) => events.some(e => e.matches.some(m =>
+    m.category === category && (!subtypes || subtypes.includes(m.subtype))) && e.party !== 'plaintiff');
+
+  // Stays come from a stay order or a bankruptcy filing; they end with a lift,
+  // relief from stay, or the bankruptcy being discharged/dismissed
+  const isStay = (m) => (m.category === 'stay' && m.subtype === 'stayed') || m.category === 'bankruptcy-suggestion';
+  const isLift = (m) => (m.category === 'stay' && m.subtype === 'lifted') || m.category === 'bankruptcy-relief';
+  let firstStay = -1, lastStay = -1, lastLift = -1;
+  events.forEach((e, i) => {
+    if (e.matches.some(isStay)) {
+      if (firstStay === -1) firstStay = i;
+      lastStay = i;
+    }
+    if (e.matches.some(isLift)) lastLift = i;
+  });
+
+  const summary = {
+    entries: events.length,
+    byCategory,
+    firstFilingDate,
+    lastFilingDate,
+    daysSinceLastFiling,
+    lastEventCategory: events.length > 0 ? events[events.length - 1].category : null,
+
+    hasComplaint: has('complaint'),
+    hasServiceCompleted: has('service', 'completed'),
+    hasAlternateService: has('service', 'alternate'),
+    hasServiceFailure: has('service', 'failed'),
+
+    hasDefendantResponse: defendantFiled('answer', ['answer', 'new-matter', 'counterclaim', 'opposition']) ||
+      has('preliminary-objections'),
+    hasDefendantAttorney,
+    hasNewMatter: has('answer', 'new-matter'),
+    hasCounterclaim: has('answer', 'counterclaim'),
+    hasReplyToNewMatter: has('answer', 'reply-to-new-matter'),
+    hasOpposition: has('answer', 'opposition'),
+    hasPreliminaryObjections: has('preliminary-objections'),
+    hasDefendantSummaryJudgmentMotion: events.some(e =>
+      e.matches.some(m => m.category === 'summary-judgment' && m.subtype === 'motion') && e.party === 'defendant'),
+
+    hasDefaultMotion: has('default-motion'),
+    hasConciliation: has('conciliation'),
+    continuanceCount: count('continuance'),
+    hasWithdrawalOfCounsel: has('withdrawal-of-counsel'),
+    hasSubstitutionOfCounsel: has('substitution-of-counsel'),
+    hasPraecipeToReinstate: has('praecipe', 'reinstate'),
+
+    isSettled: has('settlement', 'settled'),
+    hasStipulation: has('settlement', 'stipulation'),
+    hasStipulationOfDismissal: has('settlement', 'stipulation-of-dismissal'),
+    isDiscontinued: has('settlement', 'discontinued'),
+
+    hasSuggestionOfDeath: has('death', 'suggestion-of-death'),
+    hasPersonalRepresentativeSubstitution: has('death', 'personal-representative'),
+
+    hasBankruptcy: has('bankruptcy-suggestion') || has('bankruptcy-relief'),
+    hasBankruptcyDischarge: has('bankruptcy-relief', 'discharge'),
+    wasStayed: firstStay !== -1,
+    isStayed: lastStay !== -1 && lastStay > lastLift,
+    stayLifted: has('stay', 'lifted') || has('bankruptcy-relief', 'relief-from-stay'),
+    stayLiftedAfterStay: firstStay !== -1 && lastLift > firstStay,
+
+    hasJudgment: has('judgment'),
+    judgmentDate: events.find(e => e.matches.some(m => m.category === 'judgment'))?.date || null,
+    hasAdverseRuling: events.some(e => e.matches.some(m =>
+      m.category === 'order' && (m.subtype === 'denied' || m.subtype === 'overruled' ||
+        (m.subtype === 'granted' && e.party === 'plaintiff'))))
+  };
+
+  return { events, summary };
+}
+
+module.exports = { classifyEntry, classifyDocket, CATEGORIES };
@@ -0,0 +1,72 @@
+// Docket store - the full docket of every court case we've scraped, one file per
+// case under data/dockets/, kept apart from pipeline.json so that file stays small.
+//
+// Each file: { caseNumber, detailUrl, updatedAt, entries: [{ date, isoDate, type, text, firstSeenAt }] }
+// Entries are merged across runs (never dropped) and kept in filing order.
+
+const fs = require('fs').promises;
+const path = require('path');
+const CONFIG = require('../config');
+
+const DOCKET_DIR = path.join(CONFIG.outputDir, 'dockets');
+
+const docketPath = (caseNumber) =>
+  path.join(DOCKET_DIR, `${String(caseNumber).replace(/[^A-Za-z0-9-]/g, '_')}.json`);
+
+const entryKey = (e) => `${e.date || ''}|${e.type || ''}|${e.text || ''}`;
+
+// Court dates are MM/DD/YYYY
+function toIsoDate(date) {
+  const m = (date || '').match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  return m ? `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}` : null;
+}
+
+async function getDocket(caseNumber) {
+  try {
+    return JSON.parse(await fs.readFile(docketPath(caseNumber), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Merge freshly scraped entries into the stored docket for a case. Returns the
+// merged docket and newEntries: the scraped entries the store didn't have yet
+// (null when nothing was stored for the case, so there was nothing to compare to).
+async function saveDocket(caseNumber, entries, meta = {}) {
+  const now = new Date().toISOString();
+  const existing = await getDocket(caseNumber);
+  const byKey = new Map((existing?.entries || []).map(e => [entryKey(e), e]));
+  const newEntries = [];
+
+  for (const entry of entries) {
+    const key = entryKey(entry);
+    if (byKey.has(key)) continue;
+    newEntries.push(entry);
+    byKey.set(key, {
+      date: entry.date || null,
+      isoDate: toIsoDate(entry.date),
+      type: entry.type || '',
+      text: entry.text || '',
+      firstSeenAt: now
+    });
+  }
+
+  // Chronological; entries filed the same day keep the order we first saw them in
+  const merged = [...byKey.values()].sort((a, b) => (a.isoDate || '').localeCompare(b.isoDate || ''));
+
+  const docket = {
+    caseNumber,
+    detailUrl: meta.detailUrl || existing?.detailUrl || null,
+    updatedAt: now,
+    entries: merged
+  };
+
+  await fs.mkdir(DOCKET_DIR, { recursive: true });
+  const file = docketPath(caseNumber);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(docket, null, 2));
+  await fs.rename(`${file}.tmp`, file);
+  return { docket, newEntries: existing ? newEntries : null };
+}
+
+module.exports = { getDocket, saveDocket, DOCKET_DIR };
@@ -0,0 +1,140 @@
+// Enrichment cache - property assessment lookups kept across runs, keyed by
+// parcel number (or normalized address when there's no parcel), so a property is
+// only looked up again once its entry is older than the TTL. Assessment data
+// changes maybe once a year; a lookup that found nothing is retried sooner. A
+// lookup that failed (timeout, blocked) isn't stored at all.
+//
+// data/enrichment-cache.json:
+//   { updatedAt,
+//     entries: { <key>: { key, parcelNumber, address, fetchedAt, found, enrichment } },
+//     events:  [{ at, key, caseNumber, address, field, from, to }] }
+// An event is recorded when a refresh finds a different owner or last sale than
+// the entry it replaces.
+
+const fs = require('fs').promises;
+const path = require('path');
+const CONFIG = require('../config');
+
+const CACHE_FILE = path.join(CONFIG.outputDir, 'enrichment-cache.json');
+
+const DAY_MS = 86400000;
+
+// Fields whose changes between refreshes are worth an event
+const TRACKED_FIELDS = ['ownerName', 'lastSaleDate', 'lastSalePrice'];
+
+const normalize = (s) => String(s || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+
+// Parcel number when we have one, otherwise street + city
+function cacheKey(caseData) {
+  if (caseData.parcelNumber) return `parcel:${normalize(caseData.parcelNumber).replace(/ /g, '')}`;
+  if (caseData.propertyAddress) return `address:${normalize(caseData.propertyAddress)}|${normalize(caseData.propertyCity)}`;
+  return null;
+}
+
+async function readCache() {
+  try {
+    return JSON.parse(await fs.readFile(CACHE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { updatedAt: null, entries: {}, events: [] };
+    throw error;
+  }
+}
+
+// options: { ttlDays, missTtlDays, now, keyOf }. keyOf replaces cacheKey for
+// sources whose parcel IDs need more than the parcel number (NJ block/lot per town)
+async function openEnrichmentCache(options = {}) {
+  const { ttlDays = 180, missTtlDays = 14, now = new Date(), keyOf = cacheKey } = options;
+  const data = await readCache();
+  let newEvents = 0;
+
+  const isFresh = (entry) => {
+    const ttl = (entry.found ? ttlDays : missTtlDays) * DAY_MS;
+    return now - new Date(entry.fetchedAt) < ttl;
+  };
+
+  return {
+    // The cached entry for a case, if it's still within its TTL
+    lookup(caseData) {
+      const key = keyOf(caseData);
+      const entry = key && data.entries[key];
+      return entry && isFresh(entry) ? entry : null;
+    },
+
+    // The cached entry whatever its age, for when a live lookup fails
+    previous(caseData) {
+      const key = keyOf(caseData);
+      return (key && data.entries[key]) || null;
+    },
+
+    // Store a fresh lookup; returns the owner / last sale changes it revealed
+    store(caseData, enrichment) {
+      const key = keyOf(caseData);
+      if (!key) return [];
+      const previous = data.entries[key];
+      const at = now.toISOString();
+      const found = !!(enrichment.assessedValue || enrichment.ownerName);
+
+      const events = [];
+      if (previous?.found && found) {
+        for (const field of TRACKED_FIELDS) {
+          const from = previous.enrichment[field] ?? null;
+          const to = enrichment[field] ?? null;
+          if (from === null || to === null || normalize(from) === normalize(to)) continue;
+          events.push({
+            at,
+            key,
+            caseNumber: caseData.caseNumber || null,
+            address: caseData.propertyAddress || null,
+            field,
+            from,
+            to
+          });
+        }
+      }
+
+      // A miss never overwrites data we found before; it only restarts the clock
+      if (found || !previous?.found) {
+        data.entries[key] = {
+          key,
+          parcelNumber: caseData.parcelNumber || enrichment.parcelNumber || null,
+          address: [caseData.propertyAddress, caseData.propertyCity].filter(Boolean).join(', ') || null,
+          fetchedAt: at,
+          found,
+          enrichment
+        };
+        // An address lookup that found the parcel also answers later lookups by parcel
+        const parcelKey = enrichment.parcelNumber && cacheKey({ parcelNumber: enrichment.parcelNumber });
+        if (found && parcelKey && parcelKey !== key) data.entries[parcelKey] = { ...data.entries[key], key: parcelKey };
+      } else {
+        data.entries[key].fetchedAt = at;
+      }
+
+      data.events.push(...events);
+      newEvents += events.length;
+      return events;
+    },
+
+    get newEvents() {
+      return newEvents;
+    },
+
+    async save() {
+      data.updatedAt = new Date().toISOString();
+      await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
+      await fs.writeFile(`${CACHE_FILE}.tmp`, JSON.stringify(data, null, 2));
+      await fs.rename(`${CACHE_FILE}.tmp`, CACHE_FILE);
+    }
+  };
+}
+
+// Owner / last sale change events, newest first
+async function getEnrichmentEvents(options = {}) {
+  const { events } = await readCache();
+  const since = options.since ? new Date(options.since) : null;
+  return events
+    .filter(e => !since || new Date(e.at) >= since)
+    .filter(e => !options.field || e.field === options.field)
+    .reverse();
+}
+
+module.exports = { openEnrichmentCache, getEnrichmentEvents, cacheKey, CACHE_FILE };
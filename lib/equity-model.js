@@ -0,0 +1,182 @@
+// Equity model - estimated equity for a property in foreclosure, as a range with
+// a confidence and the assumptions behind it.
+//
+// Market value: the last sale price grown at annualAppreciation, and the assessed
+// value × assessmentToMarket for the county; the range spans both.
+// Debt, best source first:
+//   sheriff-sale  debtAmount on the matching CivilView listing (the judgment amount)
+//   amortized     last sale price × origination LTV for the servicer's loan type,
+//                 amortized at that year's rate until payments stopped
+//                 (monthsDelinquentAtFiling before commencedDate), plus arrears since:
+//                 interest, escrow advances and foreclosure costs
+//   ltv           no sale history, or a sale after payments stopped: today's
+//                 value × origination LTV
+// A tax, municipal or HOA lien is owed on top of any mortgage, and the property
+// may have no mortgage at all, so the low end of the debt is the lien alone.
+// Confidence: high with a sheriff sale debt, medium from sale history, low otherwise.
+// Every assumption is in config.js under `equity`.
+
+const CONFIG = require('../config');
+const { parseCaseDate } = require('./case-aging');
+const { normalizeServicer } = require('./servicers');
+
+const MONTH_MS = 86400000 * 30.4375;
+const LIEN_TYPES = ['hoa', 'municipal-lien', 'tax-lien'];
+
+const round = (n) => Math.round(n);
+const monthsBetween = (from, to) => Math.max(0, Math.round((to - from) / MONTH_MS));
+
+// Sale dates come as MM/DD/YYYY, YYYY-MM-DD or MM/DD/YY
+function parseSaleDate(date, now = new Date()) {
+  const parsed = parseCaseDate(date);
+  if (parsed) return parsed;
+  const m = (date || '').match(/(\d{1,2})\/(\d{1,2})\/(\d{2})\b/);
+  if (!m) return null;
+  const yy = Number(m[3]);
+  return new Date(yy <= now.getFullYear() % 100 ? 2000 + yy : 1900 + yy, m[1] - 1, m[2]);
+}
+
+// Rate for the origination year, or the nearest year in the table
+function rateFor(year, assumptions) {
+  const years = Object.keys(assumptions.rateByYear).map(Number);
+  const nearest = years.reduce((best, y) => (Math.abs(y - year) < Math.abs(best - year) ? y : best));
+  return assumptions.rateByYear[nearest];
+}
+
+// Monthly payment and remaining balance after `paid` payments on a fixed-rate loan
+function amortize(principal, annualRate, termMonths, paid) {
+  const r = annualRate / 100 / 12;
+  const n = Math.min(paid, termMonths);
+  if (r === 0) return { payment: principal / termMonths, balance: Math.max(0, principal - (principal / termMonths) * n) };
+  const payment = principal * r / (1 - Math.pow(1 + r, -termMonths));
+  const balance = principal * Math.pow(1 + r, n) - payment * (Math.pow(1 + r, n) - 1) / r;
+  return { payment, balance: balance > 1 ? balance : 0 };
+}
+
+// Mortgage from the last sale, as owed today. rateDelta / ltvDelta move it to
+// the ends of the range.
+function amortizedMortgage({ salePrice, saleDate, loanType, commenced, value, now, a, rateDelta = 0, ltvDelta = 0 }) {
+  const ltv = Math.max(0, (a.originationLtv[loanType] ?? a.originationLtv.default) + ltvDelta);
+  const rate = Math.max(0, rateFor(saleDate.getFullYear(), a) + rateDelta);
+  const principal = salePrice * ltv;
+
+  // Payments stop a few months before the complaint; a case with no filing date is treated as current
+  const stopped = commenced ? new Date(commenced.getTime() - a.monthsDelinquentAtFiling * MONTH_MS) : now;
+  const monthsPaid = monthsBetween(saleDate, stopped);
+  const { payment, balance } = amortize(principal, rate, a.termYears * 12, monthsPaid);
+
+  // Arrears can't start before the loan existed
+  const monthsMissed = commenced && balance > 0 ? Math.min(monthsBetween(stopped, now), monthsBetween(saleDate, now)) : 0;
+  const arrears = monthsMissed > 0
+    ? balance * (rate / 100 / 12) * monthsMissed + value * a.escrowRate * (monthsMissed / 12) + a.foreclosureCosts
+    : 0;
+
+  return { ltv, rate, principal, payment, balance, monthsPaid, monthsMissed, arrears, total: balance + arrears };
+}
+
+// caseData: a pipeline case (or anything with propertyEnrichment, plaintiff,
+// commencedDate, county). options: { saleListing, now, assumptions }
+function estimateEquity(caseData, options = {}) {
+  const a = { ...CONFIG.equity, ...options.assumptions };
+  const now = options.now || new Date();
+  const enrichment = caseData.propertyEnrichment || {};
+
+  // Market value
+  const values = [];
+  const ratio = a.assessmentToMarket[caseData.county] ?? a.assessmentToMarket.default;
+  if (enrichment.assessedValue > 0) values.push({ source: 'assessment', value: enrichment.assessedValue * ratio });
+  const saleDate = parseSaleDate(enrichment.lastSaleDate, now);
+  // Nominal transfers ($1 deeds between family members) say nothing about value or the loan
+  const salePrice = saleDate && enrichment.lastSalePrice >= 10000 ? enrichment.lastSalePrice : null;
+  if (salePrice) {
+    const years = (now - saleDate) / (MONTH_MS * 12);
+    values.push({ source: 'last-sale', value: salePrice * Math.pow(1 + a.annualAppreciation, Math.max(0, years)) });
+  }
+  if (values.length === 0) return null;
+  const value = {
+    low: Math.min(...values.map(v => v.value)),
+    high: Math.max(...values.map(v => v.value)),
+    mid: values.reduce((sum, v) => sum + v.value, 0) / values.length
+  };
+
+  // Debt
+  const servicer = caseData.servicer || normalizeServicer(caseData.plaintiff);
+  const loanType = servicer?.loanType || 'unknown';
+  const isLien = LIEN_TYPES.includes(loanType);
+  const saleDebt = options.saleListing?.debtAmount > 0 ? options.saleListing.debtAmount : null;
+  const lien = isLien ? saleDebt || 0 : 0;
+  const commenced = parseCaseDate(caseData.commencedDate);
+  // A sale after payments stopped can't be the loan being foreclosed (the case
+  // outlived a transfer, or the dates are off), so it only counts toward value
+  const saleAfterDelinquency = !!(salePrice && commenced &&
+    saleDate > new Date(commenced.getTime() - a.monthsDelinquentAtFiling * MONTH_MS));
+  const assumptions = {
+    valueSources: values.map(v => ({ source: v.source, value: round(v.value) })),
+    assessmentToMarket: ratio,
+    annualAppreciation: a.annualAppreciation,
+    servicer: servicer?.name || null,
+    loanType
+  };
+
+  let debt;
+  let debtSource;
+  let confidence;
+  if (saleDebt && !isLien) {
+    debt = { low: saleDebt, mid: saleDebt * (1 + a.judgmentGrowth / 2), high: saleDebt * (1 + a.judgmentGrowth) };
+    debtSource = 'sheriff-sale';
+    confidence = 'high';
+    Object.assign(assumptions, { sheriffSaleDebt: saleDebt, sheriffNumber: options.saleListing.sheriffNumber || null, judgmentGrowth: a.judgmentGrowth });
+  } else if (salePrice && !saleAfterDelinquency) {
+    const loan = { salePrice, saleDate, loanType, commenced, value: value.mid, now, a };
+    const mid = amortizedMortgage(loan);
+    const low = amortizedMortgage({ ...loan, rateDelta: -a.rateSpread, ltvDelta: -a.ltvSpread });
+    const high = amortizedMortgage({ ...loan, rateDelta: a.rateSpread, ltvDelta: a.ltvSpread });
+    debt = { low: isLien ? lien : low.total, mid: mid.total + lien, high: high.total + lien };
+    debtSource = 'amortized';
+    // A loan from the last sale that would be paid off by now says little: whatever
+    // is being foreclosed is a refinance or a later lien
+    confidence = mid.balance > 0 || isLien ? 'medium' : 'low';
+    if (confidence === 'low') debt.high = Math.max(debt.high, value.mid * a.originationLtv.default);
+    Object.assign(assumptions, {
+      lastSaleDate: enrichment.lastSaleDate,
+      lastSalePrice: salePrice,
+      originationLtv: mid.ltv,
+      rate: mid.rate,
+      termYears: a.termYears,
+      originalLoan: round(mid.principal),
+      monthlyPayment: round(mid.payment),
+      monthsPaid: mid.monthsPaid,
+      monthsMissed: mid.monthsMissed,
+      arrears: round(mid.arrears),
+      lien: lien || null
+    });
+  } else {
+    const ltv = a.originationLtv[loanType] ?? a.originationLtv.default;
+    debt = {
+      low: isLien ? lien : value.mid * Math.max(0, ltv - a.ltvSpread),
+      mid: value.mid * ltv + lien,
+      high: value.mid * (ltv + a.ltvSpread) + lien
+    };
+    debtSource = 'ltv';
+    confidence = 'low';
+    Object.assign(assumptions, { originationLtv: ltv, lien: lien || null, saleAfterDelinquency: saleAfterDelinquency || undefined });
+  }
+
+  const equity = value.mid - debt.mid;
+  return {
+    estimatedMarketValue: round(value.mid),
+    marketValueRange: { low: round(value.low), high: round(value.high) },
+    assessedValue: enrichment.assessedValue || null,
+    estimatedDebt: round(debt.mid),
+    debtRange: { low: round(debt.low), high: round(debt.high) },
+    debtSource,
+    estimatedEquity: round(equity),
+    equityRange: { low: round(value.low - debt.high), high: round(value.high - debt.low) },
+    equityPercent: Math.round((equity / value.mid) * 100),
+    confidence,
+    assumptions,
+    estimatedAt: now.toISOString()
+  };
+}
+
+module.exports = { estimateEquity, amortize, parseSaleDate };
@@ -0,0 +1,43 @@
+// Estate detection - spots cases where the owner has died: an estate, heirs or a
+// personal representative named as defendant, or a suggestion of death /
+// substitution of the personal representative on the docket. These are probate
+// leads (leadType 'probate'), scored on their own path (calculateProbateScore in
+// scrapers/montco-courts.js); everything else is leadType 'standard'.
+//
+// Works on pipeline cases (defendant + docketSummary) and sheriff sale listings
+// (defendant only).
+
+const DEFENDANT_SIGNALS = [
+  // "JOHN SMITH ESTATE" counts; "ACME REAL ESTATE" is a business
+  { key: 'estateOf', pattern: /\bESTATE OF\b|(?<!\bREAL )\bESTATE\s*$/, text: '⚰️ Estate named as defendant' },
+  { key: 'unknownHeirs', pattern: /\bUNKNOWN HEIRS\b|\bHEIRS\b/, text: '👥 Unknown heirs named as defendants' },
+  { key: 'administrator', pattern: /\bADMINISTRAT(OR|RIX)\b|\bADM(R|X|RX)\b/, text: '📜 Administrator of the estate named' },
+  { key: 'executor', pattern: /\bEXECUT(OR|RIX)\b|\bEXRX?\b/, text: '📜 Executor of the estate named' },
+  { key: 'personalRepresentative', pattern: /PERSONAL REPRESENTATIVE/, text: '📜 Personal representative named' },
+  { key: 'deceased', pattern: /\bDECEASED\b|\bDEC'D\b|\bDECD\b/, text: '⚰️ Defendant listed as deceased' }
+];
+
+const DOCKET_SIGNALS = [
+  { key: 'suggestionOfDeath', field: 'hasSuggestionOfDeath', text: '⚰️ Suggestion of death on the docket' },
+  { key: 'personalRepresentativeSubstituted', field: 'hasPersonalRepresentativeSubstitution', text: '📜 Personal representative substituted as defendant' }
+];
+
+// { isEstate, signals: [{ key, source, text }] }
+function detectEstate(record) {
+  const defendant = (record?.defendant || '').toUpperCase();
+  const ds = record?.docketSummary || {};
+  const signals = [
+    ...DEFENDANT_SIGNALS.filter(s => s.pattern.test(defendant)).map(s => ({ key: s.key, source: 'defendant', text: s.text })),
+    ...DOCKET_SIGNALS.filter(s => ds[s.field]).map(s => ({ key: s.key, source: 'docket', text: s.text }))
+  ];
+  return { isEstate: signals.length > 0, signals };
+}
+
+function leadTypeOf(record) {
+  return detectEstate(record).isEstate ? 'probate' : 'standard';
+}
+
+// Stored leadType, or worked out for records saved before it existed
+const withLeadType = (record) => record.leadType ? record : { ...record, leadType: leadTypeOf(record) };
+
+module.exports = { detectEstate, leadTypeOf, withLeadType };
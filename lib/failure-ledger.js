@@ -0,0 +1,82 @@
+// Failure ledger - every case/property that failed to scrape, and why, so
+// failures are visible (GET /api/scrape/failures) and can be retried on their own.
+//
+// data/failures.json: { <collection>: { <key>: entry } }, where an entry is
+//   { key, label, source, type, message, attempts, failureCount, firstFailedAt, lastFailedAt }
+// An entry is removed as soon as the item scrapes successfully.
+
+const fs = require('fs').promises;
+const path = require('path');
+const CONFIG = require('../config');
+
+const LEDGER_FILE = path.join(CONFIG.outputDir, 'failures.json');
+
+async function readLedger() {
+  try {
+    return JSON.parse(await fs.readFile(LEDGER_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+// Concurrent workers update the ledger; apply changes one at a time
+let updating = Promise.resolve();
+
+function update(mutate) {
+  updating = updating.then(async () => {
+    const ledger = await readLedger();
+    if (mutate(ledger) === false) return;
+    await fs.mkdir(path.dirname(LEDGER_FILE), { recursive: true });
+    const tmp = `${LEDGER_FILE}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(ledger, null, 2));
+    await fs.rename(tmp, LEDGER_FILE);
+  }).catch(error => console.log(`   ⚠️ Failure ledger write failed: ${error.message}`));
+  return updating;
+}
+
+function recordFailure(collection, { key, label, source }, error) {
+  const now = new Date().toISOString();
+  return update(ledger => {
+    ledger[collection] = ledger[collection] || {};
+    const previous = ledger[collection][key];
+    ledger[collection][key] = {
+      key,
+      label: label || key,
+      source: source || previous?.source || null,
+      type: error.type || 'unknown',
+      message: (error.message || String(error)).substring(0, 300),
+      attempts: error.attempts || 1,
+      failureCount: (previous?.failureCount || 0) + 1,
+      firstFailedAt: previous?.firstFailedAt || now,
+      lastFailedAt: now
+    };
+  });
+}
+
+function clearFailure(collection, key) {
+  return update(ledger => {
+    if (!ledger[collection]?.[key]) return false;
+    delete ledger[collection][key];
+  });
+}
+
+// Failures for one collection, most recent first
+async function getFailures(collection) {
+  await updating;
+  const ledger = await readLedger();
+  return Object.values(ledger[collection] || {})
+    .sort((a, b) => b.lastFailedAt.localeCompare(a.lastFailedAt));
+}
+
+async function getFailedKeys(collection) {
+  return new Set((await getFailures(collection)).map(f => f.key));
+}
+
+module.exports = {
+  recordFailure,
+  clearFailure,
+  getFailures,
+  getFailedKeys,
+  LEDGER_FILE
+};
@@ -0,0 +1,233 @@
+// History store - keeps every case/property we have ever scraped, plus a
+// snapshot of each one per run, so a new run never wipes out what we knew before.
+//
+// Each collection (e.g. 'pipeline') gets its own directory under data/history/:
+//   records.json     one entry per key: first/last seen, active flag, current data
+//   runs.json        one entry per run
+//   snapshots.jsonl  one line per item per run (append-only)
+//   changes.json     what changed in each run (see change-detector.js)
+
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const readline = require('readline');
+const path = require('path');
+const CONFIG = require('../config');
+const { detectChanges, summarizeChanges } = require('./change-detector');
+
+const HISTORY_DIR = path.join(CONFIG.outputDir, 'history');
+
+function collectionPaths(collection) {
+  const dir = path.join(HISTORY_DIR, collection);
+  return {
+    dir,
+    records: path.join(dir, 'records.json'),
+    runs: path.join(dir, 'runs.json'),
+    snapshots: path.join(dir, 'snapshots.jsonl'),
+    changes: path.join(dir, 'changes.json')
+  };
+}
+
+async function readJSON(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// Write via a temp file so a crash mid-write never leaves a truncated store
+async function writeJSON(file, data) {
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
+
+// New values win, but fields the latest run didn't produce (e.g. enrichment
+// skipped this time) keep whatever we had before
+function mergeCurrent(previous, next, carryForward) {
+  if (!previous) return next;
+  const merged = { ...next };
+  for (const field of carryForward) {
+    if ((merged[field] === null || merged[field] === undefined) && previous[field] != null) {
+      merged[field] = previous[field];
+    }
+  }
+  return merged;
+}
+
+// Record a run: diff it against the previous state, upsert every item, append a
+// snapshot per item, and (for full runs) mark anything that didn't show up as inactive.
+// keepActive: keys that are missing only because they failed to scrape (the
+// failure ledger); they stay active with their last known data.
+async function recordRun(collection, items, options = {}) {
+  const { keyField, partial = false, carryForward = [], keepActive = new Set(), meta = {} } = options;
+  const paths = collectionPaths(collection);
+  await fs.mkdir(paths.dir, { recursive: true });
+
+  const records = await readJSON(paths.records, {});
+  const runs = await readJSON(paths.runs, []);
+  const changeSets = await readJSON(paths.changes, []);
+
+  const changes = detectChanges(collection, activeItems(records), items, { partial, keepActive });
+
+  const capturedAt = new Date().toISOString();
+  const runId = capturedAt;
+  const seen = new Set();
+  const snapshotLines = [];
+  let added = 0;
+
+  for (const item of items) {
+    const key = item[keyField];
+    if (!key) continue;
+    seen.add(key);
+
+    const existing = records[key];
+    if (!existing) added++;
+
+    records[key] = {
+      key,
+      firstSeen: existing?.firstSeen || capturedAt,
+      lastSeen: capturedAt,
+      lastRunId: runId,
+      active: true,
+      droppedAt: null,
+      runCount: (existing?.runCount || 0) + 1,
+      current: mergeCurrent(existing?.current, item, carryForward)
+    };
+
+    snapshotLines.push(JSON.stringify({ runId, key, capturedAt, data: item }));
+  }
+
+  let dropped = 0;
+  if (!partial) {
+    for (const record of Object.values(records)) {
+      if (record.active && !seen.has(record.key) && !keepActive.has(record.key)) {
+        record.active = false;
+        record.droppedAt = capturedAt;
+        dropped++;
+      }
+    }
+  }
+
+  const run = {
+    runId,
+    capturedAt,
+    partial,
+    itemCount: seen.size,
+    added,
+    dropped,
+    changeSummary: summarizeChanges(changes),
+    ...meta
+  };
+  runs.push(run);
+  changeSets.push({ runId, capturedAt, partial, summary: run.changeSummary, changes });
+
+  if (snapshotLines.length > 0) {
+    await fs.appendFile(paths.snapshots, snapshotLines.join('\n') + '\n');
+  }
+  await writeJSON(paths.records, records);
+  await writeJSON(paths.runs, runs);
+  await writeJSON(paths.changes, changeSets);
+
+  return { run, changes, current: activeItems(records) };
+}
+
+// Patch fields of the current data in place, without recording a run or a
+// snapshot (e.g. a rescore). patches: { key: { field: value } }; unknown keys are skipped.
+async function updateCurrent(collection, patches) {
+  const paths = collectionPaths(collection);
+  const records = await readJSON(paths.records, {});
+  let updated = 0;
+  for (const [key, fields] of Object.entries(patches)) {
+    if (!records[key]) continue;
+    records[key].current = { ...records[key].current, ...fields };
+    updated++;
+  }
+  if (updated > 0) await writeJSON(paths.records, records);
+  return updated;
+}
+
+function activeItems(records) {
+  return Object.values(records)
+    .filter(r => r.active)
+    .map(r => r.current);
+}
+
+// Current state: latest known data for every active key
+async function getCurrent(collection) {
+  const records = await readJSON(collectionPaths(collection).records, {});
+  return activeItems(records);
+}
+
+// Every record ever seen, including ones that have since dropped out
+async function getRecords(collection) {
+  const records = await readJSON(collectionPaths(collection).records, {});
+  return Object.values(records);
+}
+
+async function getRecord(collection, key) {
+  const records = await readJSON(collectionPaths(collection).records, {});
+  return records[key] || null;
+}
+
+async function listRuns(collection) {
+  return readJSON(collectionPaths(collection).runs, []);
+}
+
+// Change sets for every run captured after `since` (a Date), oldest first
+async function getChangesSince(collection, since) {
+  const changeSets = await readJSON(collectionPaths(collection).changes, []);
+  return changeSets.filter(set => new Date(set.capturedAt) > since);
+}
+
+// All snapshots for one key, oldest first. Streams the file since it only grows.
+async function getSnapshots(collection, key) {
+  const file = collectionPaths(collection).snapshots;
+  try {
+    await fs.access(file);
+  } catch (e) {
+    return [];
+  }
+
+  const snapshots = [];
+  const rl = readline.createInterface({ input: createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    const snapshot = JSON.parse(line);
+    if (snapshot.key === key) snapshots.push(snapshot);
+  }
+  return snapshots;
+}
+
+// Earliest snapshot of every key, in one pass over the snapshot file
+async function getFirstSnapshots(collection) {
+  const file = collectionPaths(collection).snapshots;
+  const first = new Map();
+  try {
+    await fs.access(file);
+  } catch (e) {
+    return first;
+  }
+
+  const rl = readline.createInterface({ input: createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    const snapshot = JSON.parse(line);
+    if (!first.has(snapshot.key)) first.set(snapshot.key, snapshot);
+  }
+  return first;
+}
+
+module.exports = {
+  recordRun,
+  updateCurrent,
+  getCurrent,
+  getRecords,
+  getRecord,
+  getSnapshots,
+  getFirstSnapshots,
+  listRuns,
+  getChangesSince,
+  HISTORY_DIR
+};
@@ -0,0 +1,141 @@
+// Outcome tracker - what actually happened to every pre-foreclosure case we've
+// graded, so the lead score can be checked against reality (see backtest.js).
+//
+// data/outcomes.json: { updatedAt, cases: { <caseNumber>: {
+//   caseNumber,
+//   baseline:    the scoring inputs the first time we saw the case (first snapshot)
+//   predictions: { <scoringVersion>: { score, grade, at } }   first grade under each rules version,
+//                recorded only while the case has no outcome yet (a grade given after
+//                the fact has the answer in its docket inputs)
+//   outcomes:    { <type>: { detectedAt, detail } }           never removed once seen, except
+//                dropped, which is cleared when the case comes back
+// } } }
+//
+// Outcome types:
+//   sheriff-sale-listed  case shows up as a CivilView sheriff sale listing
+//   sold                 that listing's status says sold
+//   settled              docket shows a settlement or stipulation of dismissal
+//   discontinued         docket or case status shows the action discontinued
+//   judgment-entered     judgment on the docket (or the court's judgment flag)
+//   dropped              case fell out of the case list (CSV / court search); a case
+//                        that only failed to scrape is not dropped
+
+const fs = require('fs').promises;
+const path = require('path');
+const CONFIG = require('../config');
+const historyStore = require('./history-store');
+const { findSaleListing, isSold } = require('./case-linker');
+const { getFailedKeys } = require('./failure-ledger');
+
+const OUTCOMES_FILE = path.join(CONFIG.outputDir, 'outcomes.json');
+
+const OUTCOME_TYPES = ['sheriff-sale-listed', 'sold', 'settled', 'discontinued', 'judgment-entered', 'dropped'];
+
+// Outcomes that mean the owner was under real pressure to sell - a good lead
+const POSITIVE_OUTCOMES = ['sheriff-sale-listed', 'sold', 'settled'];
+
+async function readOutcomes() {
+  try {
+    return JSON.parse(await fs.readFile(OUTCOMES_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { updatedAt: null, cases: {} };
+    throw error;
+  }
+}
+
+// What the scorer reads from a case, frozen at one point in time
+function scoringInputs(c, capturedAt) {
+  return {
+    capturedAt,
+    daysOpen: c.daysOpen || 0,
+    propertyAddress: c.propertyAddress || '',
+    defendant: c.defendant || '',
+    docketSummary: c.docketSummary || null,
+    leadScore: c.leadScore,
+    leadGrade: c.leadGrade,
+    scoringVersion: c.scoringVersion || 1
+  };
+}
+
+// Outcomes visible in a case's latest data and its sale listing, if any
+function detectOutcomes(record, properties, failedKeys = new Set()) {
+  const c = record.current || {};
+  const ds = c.docketSummary || {};
+  const found = {};
+
+  const link = findSaleListing(c, properties);
+  if (link) {
+    const p = link.property;
+    found['sheriff-sale-listed'] = `Sheriff # ${p.sheriffNumber || 'N/A'}, sale ${p.salesDate || 'date TBD'} (matched by ${link.matchedBy})`;
+    const soldEntry = (p.statusHistory || []).find(h => isSold(h.status));
+    if (soldEntry || isSold(p.status)) found.sold = soldEntry?.status || p.status;
+  }
+  if (ds.isSettled || ds.hasStipulationOfDismissal) found.settled = ds.isSettled ? 'Matter settled' : 'Stipulation of dismissal';
+  if (ds.isDiscontinued || /DISCONTINU/i.test(c.status || '')) found.discontinued = c.status || 'Discontinued on docket';
+  if (ds.hasJudgment || c.hasJudgement) found['judgment-entered'] = 'Judgment entered';
+  if (record.active === false && !failedKeys.has(record.key)) found.dropped = `Not in the case list since ${record.droppedAt}`;
+
+  return found;
+}
+
+// Record predictions and newly visible outcomes for every case we know about.
+// Called after each pipeline and sheriff sale run; safe to run any time.
+async function refreshOutcomes() {
+  const data = await readOutcomes();
+  const now = new Date().toISOString();
+  const records = await historyStore.getRecords('pipeline');
+  const properties = (await historyStore.getRecords('properties')).map(r => r.current);
+  const failedKeys = await getFailedKeys('pipeline');
+
+  // Baselines come from the first snapshot so they never include later docket activity
+  const needsBaseline = records.some(r => !data.cases[r.key]?.baseline);
+  const firstSnapshots = needsBaseline ? await historyStore.getFirstSnapshots('pipeline') : new Map();
+
+  let newOutcomes = 0;
+  for (const record of records) {
+    const entry = data.cases[record.key] || { caseNumber: record.key, baseline: null, predictions: {}, outcomes: {} };
+    const c = record.current || {};
+
+    if (!entry.baseline) {
+      const first = firstSnapshots.get(record.key);
+      entry.baseline = first ? scoringInputs(first.data, first.capturedAt) : scoringInputs(c, record.firstSeen);
+    }
+
+    const detected = detectOutcomes(record, properties, failedKeys);
+    const resolved = Object.keys({ ...entry.outcomes, ...detected }).some(type => type !== 'dropped');
+    const version = c.scoringVersion || 1;
+    if (c.leadGrade && !entry.predictions[version] && !resolved) {
+      entry.predictions[version] = { score: c.leadScore, grade: c.leadGrade, at: record.lastSeen || now };
+    }
+
+    // Back in the case list (or only failed to scrape): not dropped after all
+    if (entry.outcomes.dropped && !detected.dropped) delete entry.outcomes.dropped;
+    for (const [type, detail] of Object.entries(detected)) {
+      if (entry.outcomes[type]) continue;
+      entry.outcomes[type] = { detectedAt: now, detail };
+      newOutcomes++;
+    }
+
+    data.cases[record.key] = entry;
+  }
+
+  data.updatedAt = now;
+  await fs.mkdir(path.dirname(OUTCOMES_FILE), { recursive: true });
+  await fs.writeFile(`${OUTCOMES_FILE}.tmp`, JSON.stringify(data, null, 2));
+  await fs.rename(`${OUTCOMES_FILE}.tmp`, OUTCOMES_FILE);
+
+  console.log(`🎯 Outcomes: ${records.length} cases tracked, ${newOutcomes} new outcomes`);
+  return { tracked: records.length, newOutcomes };
+}
+
+async function getOutcomes() {
+  return readOutcomes();
+}
+
+module.exports = {
+  refreshOutcomes,
+  getOutcomes,
+  OUTCOME_TYPES,
+  POSITIVE_OUTCOMES,
+  OUTCOMES_FILE
+};
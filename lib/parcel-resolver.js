@@ -0,0 +1,75 @@
+// Parcel resolver - finds the county parcel ID for a pipeline case, so property
+// enrichment and sheriff sale linking can key on the parcel instead of a fuzzy
+// address. Court cases don't come with one, so in order of preference:
+//   1. docket text or the complaint description on the case page
+//        ID next to a parcel label ("Parcel No.", "Tax Map", "UPI")   confidence high
+//        one ID in parcel format with no label                        medium
+//   2. the assessment site's address search (see property-enrichment.js)
+//        a single parcel on the results page                          medium
+//        several parcels, the first one taken                         low
+//
+// The match lives on the case: parcelNumber plus
+//   parcelMatch: { parcelNumber, confidence, source, resolvedAt }
+// and is never replaced by a lower-confidence one. A parcelNumber with no
+// parcelMatch came from the source itself (the sheriff's listing) and is kept.
+
+const { normalizeParcel } = require('./case-linker');
+
+// Montgomery County parcel IDs: 12 digits, written 31-00-12345-00-7
+const PARCEL_PATTERN = /\b(\d{2})[-\s]?(\d{2})[-\s]?(\d{5})[-\s]?(\d{2})[-\s]?(\d)\b/g;
+const PARCEL_LABEL = /(PARCEL|TAX MAP|TAX ID|\bUPI\b|\bPARID\b|\bPIN\b)[^0-9]{0,25}$/i;
+
+const CONFIDENCE_ORDER = ['low', 'medium', 'high'];
+
+const formatParcel = (digits) =>
+  `${digits.slice(0, 2)}-${digits.slice(2, 4)}-${digits.slice(4, 9)}-${digits.slice(9, 11)}-${digits.slice(11)}`;
+
+// Every parcel-format ID in a piece of text, noting whether a label precedes it
+function findParcelsInText(text) {
+  const found = [];
+  for (const m of (text || '').matchAll(PARCEL_PATTERN)) {
+    const before = text.substring(Math.max(0, m.index - 40), m.index);
+    found.push({ parcelNumber: formatParcel(m.slice(1).join('')), labeled: PARCEL_LABEL.test(before) });
+  }
+  return found;
+}
+
+// texts: docket entry texts and any complaint description from the case page
+function parcelFromDocket(texts) {
+  const found = (texts || []).flatMap(findParcelsInText);
+  const labeled = found.find(f => f.labeled);
+  if (labeled) return { parcelNumber: labeled.parcelNumber, confidence: 'high', source: 'docket' };
+
+  const distinct = [...new Set(found.map(f => f.parcelNumber))];
+  if (distinct.length === 1) return { parcelNumber: distinct[0], confidence: 'medium', source: 'docket' };
+  return null;
+}
+
+// The parcel an assessment lookup landed on. Lookups that started from a parcel
+// number only confirm it.
+function parcelFromAssessment(enrichment, caseData = {}) {
+  const candidates = (enrichment?.parcelCandidates || []).filter(Boolean);
+  const parcelNumber = enrichment?.parcelNumber || candidates[0];
+  if (!parcelNumber) return null;
+
+  if (caseData.parcelNumber && normalizeParcel(caseData.parcelNumber) === normalizeParcel(parcelNumber)) return null;
+  return {
+    parcelNumber,
+    confidence: candidates.length > 1 ? 'low' : 'medium',
+    source: 'assessment-address'
+  };
+}
+
+// Put a match on the case unless it already has one at least as good
+function applyParcelMatch(c, match, resolvedAt = new Date().toISOString()) {
+  if (!match) return c;
+  if (c.parcelNumber && !c.parcelMatch) return c;
+  const current = CONFIDENCE_ORDER.indexOf(c.parcelMatch?.confidence);
+  if (c.parcelMatch && current >= CONFIDENCE_ORDER.indexOf(match.confidence)) return c;
+
+  c.parcelNumber = match.parcelNumber;
+  c.parcelMatch = { ...match, resolvedAt };
+  return c;
+}
+
+module.exports = { findParcelsInText, parcelFromDocket, parcelFromAssessment, applyParcelMatch, formatParcel };
@@ -0,0 +1,209 @@
+// Party names - splits court defendant strings and assessment owner strings into
+// individual parties and scores how well they match, for owner-occupancy and
+// absentee-owner detection (see applyOwnerOccupancy in property-enrichment.js).
+//
+// Handles what the court and the assessment offices actually write:
+//   "SMITH, JOHN A JR; SMITH, MARY"        one party per ";" with LAST, FIRST order
+//   "JOHN SMITH AND MARY SMITH"            FIRST LAST order, joined by AND / &
+//   "SMITH JOHN & MARY"                    assessment style: LAST FIRST, spouse shares the surname
+//   "JOHN SMITH A/K/A JOHNNY SMITH"        aliases of the same party
+//   "UNKNOWN HEIRS ... OF JOHN SMITH"      heirs and estates, matched on the deceased's name
+//   "ABC PROPERTIES LLC"                   entities, matched on their name words
+
+const SUFFIXES = ['JR', 'SR', 'II', 'III', 'IV', 'V', 'ESQ'];
+const TITLES = ['MR', 'MRS', 'MS', 'DR'];
+// Noise the assessment and court rolls append to names
+const NOISE = /\b(H\/W|W\/H|H&W|ET AL|ETAL|ET UX|ETUX|ET VIR|ETVIR|TENANTS BY (THE )?ENTIRETY|JTWROS|JT TEN|DECEASED|DEC'D|DECD|MORTGAGOR\(S\)|REAL OWNER\(S\)|AS REAL OWNER)\b/g;
+const ENTITY = /\b(LLC|L L C|INC|CORP|CORPORATION|COMPANY|CO|LP|LLP|LTD|TRUST|TRUSTEE|BANK|ASSOCIATION|ASSN|PARTNERS|PARTNERSHIP|HOLDINGS|PROPERTIES|REALTY|INVESTMENTS|GROUP|CHURCH|TOWNSHIP|BOROUGH|CITY OF|COUNTY OF)\b/;
+const HEIRS = /\bUNKNOWN HEIRS\b|\bHEIRS\b|\bSUCCESSORS\b|\bASSIGNS\b/;
+const ESTATE = /^(THE )?ESTATE OF\s+|\s+ESTATE$/;
+
+// Match scores; a pair at or above MATCH_THRESHOLD is the same person
+const POINTS = { lastExact: 60, lastFuzzy: 45, firstExact: 35, firstFuzzy: 25, firstInitial: 20, middle: 5 };
+const MATCH_THRESHOLD = 70;
+
+const clean = (s) => String(s || '').toUpperCase().replace(NOISE, ' ').replace(/\s+/g, ' ').trim();
+const words = (s) => s.replace(/['`]/g, '').replace(/[^A-Z0-9 ]+/g, ' ').split(/\s+/).filter(Boolean);
+
+// Nicknames and short forms usually keep the start of the name (KATHY / KATHERINE)
+const commonPrefix = (a, b) => {
+  let i = 0;
+  while (i < a.length && a[i] === b[i]) i++;
+  return i;
+};
+
+// Edit-distance similarity, 0..1
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return 1 - dp[a.length][b.length] / Math.max(a.length, b.length);
+}
+
+// One name → { first, middle, last, suffix }. order: 'last-first' | 'first-last'
+function parsePersonName(name, order) {
+  let text = name;
+  let resolvedOrder = order;
+  if (text.includes(',')) {
+    // "SMITH, JOHN A" is always last-first
+    const [last, rest] = text.split(/,(.*)/s);
+    text = `${last} ${rest}`;
+    resolvedOrder = 'last-first';
+  }
+  const tokens = words(text).filter(t => !TITLES.includes(t));
+  const suffix = tokens.find(t => SUFFIXES.includes(t)) || null;
+  const parts = tokens.filter(t => !SUFFIXES.includes(t));
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return { first: null, middle: null, last: resolvedOrder === 'last-first' ? parts[0] : null, given: parts[0], suffix };
+
+  return resolvedOrder === 'last-first'
+    ? { first: parts[1], middle: parts.slice(2).join(' ') || null, last: parts[0], suffix }
+    : { first: parts[0], middle: parts.slice(1, -1).join(' ') || null, last: parts[parts.length - 1], suffix };
+}
+
+// One party string (no separators left) → party
+function parseParty(raw, order) {
+  let text = clean(raw);
+  const party = { raw: String(raw).trim(), kind: 'person', names: [] };
+
+  if (HEIRS.test(text)) {
+    // "UNKNOWN HEIRS, SUCCESSORS ... UNDER JOHN SMITH, DECEASED": the name after the last OF/UNDER
+    const m = text.match(/.*\b(?:OF|UNDER|FROM)\s+(.+)$/);
+    party.kind = 'heirs';
+    if (!m) return party;
+    text = m[1];
+  } else if (ESTATE.test(text)) {
+    party.kind = 'estate';
+    text = text.replace(ESTATE, '');
+  }
+
+  if (ENTITY.test(text)) {
+    party.kind = party.kind === 'person' ? 'entity' : party.kind;
+    party.names.push({ entity: words(text).join(' ') });
+    return party;
+  }
+
+  // A/K/A, F/K/A, N/K/A aliases are more names for the same party
+  for (const alias of text.split(/\b[AFN]\/K\/A\b|\bAKA\b|\bFKA\b/)) {
+    const name = parsePersonName(alias.trim(), order);
+    if (name) party.names.push(name);
+  }
+  return party;
+}
+
+// A defendant or owner string → parties. order is the usual order of names that
+// have no comma: court captions are FIRST LAST, assessment rolls LAST FIRST.
+function splitParties(text, options = {}) {
+  const order = options.order || 'first-last';
+  const tidy = (s) => s.trim().replace(/^,|,$/g, '').trim();
+  const chunks = clean(text).split(/\s*;\s*/).flatMap(part => {
+    // The heirs caption ("UNKNOWN HEIRS, SUCCESSORS, ASSIGNS AND ALL PERSONS ...
+    // UNDER JOHN SMITH") has ANDs of its own: keep it whole up to the deceased's
+    // name, and split only what follows
+    const heirs = part.match(/^(.*?\bHEIRS\b.*?\b(?:OF|UNDER|FROM)\s+)(?!(?:OR|UNDER|FROM|THE)\b)(.+)$/);
+    const [caption, rest] = heirs ? [heirs[1], heirs[2]] : ['', part];
+    const pieces = rest.split(/\s+AND\s+|\s*&\s*|\s*\+\s*/);
+    pieces[0] = caption + pieces[0];
+    return pieces;
+  }).map(tidy).filter(Boolean);
+
+  const parties = chunks.map(chunk => parseParty(chunk, order)).filter(p => p.names.length > 0 || p.kind === 'heirs');
+
+  // Spouses written with one surname: "SMITH JOHN & MARY", "JOHN & MARY SMITH"
+  for (let i = 0; i < parties.length; i++) {
+    for (const name of parties[i].names) {
+      if (!name.given) continue;
+      const neighbour = order === 'last-first' ? parties[i - 1] : parties[i + 1];
+      const shared = neighbour?.names.find(n => n.last)?.last;
+      if (shared) Object.assign(name, { first: name.given, last: shared });
+      else Object.assign(name, order === 'last-first' ? { last: name.given } : { first: name.given });
+      delete name.given;
+    }
+  }
+  return parties;
+}
+
+// Score one name against another, with the reasons behind the score
+function scoreNames(a, b) {
+  if (a.entity || b.entity) {
+    if (!a.entity || !b.entity) return { score: 0, reasons: [] };
+    const aw = new Set(words(a.entity).filter(w => !ENTITY.test(w)));
+    const bw = new Set(words(b.entity).filter(w => !ENTITY.test(w)));
+    const shared = [...aw].filter(w => bw.has(w)).length;
+    const score = Math.round((shared / Math.max(1, Math.max(aw.size, bw.size))) * 100);
+    return { score, reasons: score > 0 ? [`Entity names share ${shared} word(s)`] : [] };
+  }
+
+  let score = 0;
+  const reasons = [];
+  const lastSim = similarity(a.last, b.last);
+  if (a.last && a.last === b.last) {
+    score += POINTS.lastExact;
+    reasons.push(`Last name ${a.last} matches`);
+  } else if (lastSim >= 0.8) {
+    score += POINTS.lastFuzzy;
+    reasons.push(`Last name ${a.last} ≈ ${b.last}`);
+  } else {
+    return { score: 0, reasons: [] };
+  }
+
+  if (a.first && b.first) {
+    if (a.first === b.first) {
+      score += POINTS.firstExact;
+      reasons.push(`First name ${a.first} matches`);
+    } else if (a.first.length === 1 || b.first.length === 1) {
+      if (a.first[0] === b.first[0]) {
+        score += POINTS.firstInitial;
+        reasons.push(`First initial ${a.first[0]} matches`);
+      }
+    } else if (similarity(a.first, b.first) >= 0.8 || commonPrefix(a.first, b.first) >= Math.min(4, a.first.length, b.first.length)) {
+      score += POINTS.firstFuzzy;
+      reasons.push(`First name ${a.first} ≈ ${b.first}`);
+    }
+  }
+  if (a.middle && b.middle && a.middle[0] === b.middle[0]) {
+    score += POINTS.middle;
+    reasons.push('Middle initial matches');
+  }
+  return { score: Math.min(100, score), reasons };
+}
+
+// Best match between any defendant and any owner.
+// Returns { score, matched, reasons, defendant, owner, defendants, owners };
+// matched is null when either side has no usable name (e.g. a bare "UNKNOWN HEIRS")
+function matchParties(defendantText, ownerText) {
+  const defendants = splitParties(defendantText, { order: 'first-last' });
+  const owners = splitParties(ownerText, { order: 'last-first' });
+  const result = { score: 0, matched: false, reasons: [], defendant: null, owner: null, defendants, owners };
+
+  for (const d of defendants) {
+    for (const o of owners) {
+      for (const dn of d.names) {
+        for (const on of o.names) {
+          // Court and assessment name order can both be wrong; try the owner name flipped too
+          const flipped = on.entity ? null : { ...on, first: on.last, last: on.first };
+          const best = [scoreNames(dn, on), flipped && scoreNames(dn, flipped)]
+            .filter(Boolean)
+            .reduce((x, y) => (y.score > x.score ? y : x));
+          if (best.score > result.score) {
+            Object.assign(result, { score: best.score, reasons: best.reasons, defendant: d.raw, owner: o.raw });
+            if (d.kind === 'estate' || d.kind === 'heirs') result.reasons = [...best.reasons, 'Defendant is the estate or heirs of this owner'];
+          }
+        }
+      }
+    }
+  }
+
+  const named = (parties) => parties.some(p => p.names.length > 0);
+  result.matched = named(defendants) && named(owners) ? result.score >= MATCH_THRESHOLD : null;
+  if (defendants.some(d => d.kind === 'heirs')) result.reasons.push('Unknown heirs named as defendants');
+  return result;
+}
+
+module.exports = { splitParties, matchParties, parsePersonName, similarity, MATCH_THRESHOLD };
@@ -0,0 +1,96 @@
+// Plaintiff analytics - how each servicer (lib/servicers.js) behaves across every
+// case and sheriff sale listing we know about:
+//   cases / activeCases     pipeline cases brought by the servicer
+//   saleListings            sheriff sale listings where it's the plaintiff
+//   daysToJudgment          commenced date → first judgment on the docket
+//   sheriffSaleConversion   share of its cases that reached a sheriff sale listing
+// Sheriff sale outcomes come from outcome-tracker.js, plus any listing the case
+// links to right now.
+
+const { getOutcomes } = require('./outcome-tracker');
+const { getDocket } = require('./docket-store');
+const { classifyDocket } = require('./docket-classifier');
+const { parseCaseDate } = require('./case-aging');
+const { findSaleListing } = require('./case-linker');
+const { withServicer } = require('./servicers');
+
+const DAY_MS = 86400000;
+
+const average = (values) => values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+
+// Judgment date from the stored summary, or from the docket store for cases
+// classified before summaries carried it
+async function judgmentDateOf(c) {
+  const ds = c.docketSummary || {};
+  if (ds.judgmentDate) return ds.judgmentDate;
+  if (!ds.hasJudgment) return null;
+  const docket = await getDocket(c.caseNumber);
+  return docket ? classifyDocket(docket.entries).summary.judgmentDate : null;
+}
+
+// cases: known pipeline cases (with `active` when from the history store);
+// properties: known sheriff sale listings. options: { loanType, minCases }
+async function plaintiffAnalytics(cases, properties, options = {}) {
+  const { cases: outcomes } = await getOutcomes();
+  const groups = new Map();
+  const groupFor = (servicer) => {
+    if (!groups.has(servicer.id)) {
+      groups.set(servicer.id, {
+        id: servicer.id,
+        name: servicer.name,
+        loanType: servicer.loanType,
+        known: servicer.known,
+        spellings: new Set(),
+        cases: 0,
+        activeCases: 0,
+        saleListings: 0,
+        judgmentDays: [],
+        reachedSale: 0
+      });
+    }
+    return groups.get(servicer.id);
+  };
+
+  for (const c of cases.map(withServicer)) {
+    if (!c.servicer) continue;
+    const g = groupFor(c.servicer);
+    g.spellings.add(c.plaintiff.trim());
+    g.cases++;
+    if (c.active !== false) g.activeCases++;
+
+    const commenced = parseCaseDate(c.commencedDate);
+    const judgment = parseCaseDate(await judgmentDateOf(c));
+    if (commenced && judgment && judgment >= commenced) g.judgmentDays.push(Math.round((judgment - commenced) / DAY_MS));
+
+    if (outcomes[c.caseNumber]?.outcomes['sheriff-sale-listed'] || findSaleListing(c, properties)) g.reachedSale++;
+  }
+
+  for (const p of properties.map(withServicer)) {
+    if (!p.servicer) continue;
+    const g = groupFor(p.servicer);
+    g.spellings.add(p.plaintiff.trim());
+    g.saleListings++;
+  }
+
+  return [...groups.values()]
+    .filter(g => !options.loanType || g.loanType === options.loanType)
+    .filter(g => g.cases + g.saleListings >= (options.minCases || 1))
+    .map(g => ({
+      id: g.id,
+      name: g.name,
+      loanType: g.loanType,
+      known: g.known,
+      spellings: [...g.spellings].sort(),
+      cases: g.cases,
+      activeCases: g.activeCases,
+      saleListings: g.saleListings,
+      daysToJudgment: { cases: g.judgmentDays.length, average: average(g.judgmentDays) },
+      sheriffSaleConversion: {
+        reachedSale: g.reachedSale,
+        rate: g.cases > 0 ? Math.round((g.reachedSale / g.cases) * 1000) / 1000 : null
+      }
+    }))
+    .sort((a, b) => (b.cases + b.saleListings) - (a.cases + a.saleListings));
+}
+
+module.exports = { plaintiffAnalytics };
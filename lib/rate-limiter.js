@@ -0,0 +1,22 @@
+// Per-host rate limiter shared by concurrent scraper workers.
+// Each wait(url) reserves the next free slot for that host, so any number of
+// workers together stay under requestsPerMinute for each site.
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createHostLimiter({ requestsPerMinute }) {
+  const interval = 60000 / requestsPerMinute;
+  const nextSlot = new Map();
+
+  async function wait(url) {
+    const host = new URL(url).host;
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, slot + interval);
+    if (slot > now) await delay(slot - now);
+  }
+
+  return { wait };
+}
+
+module.exports = { createHostLimiter };
@@ -0,0 +1,198 @@
+// Record/replay for the Puppeteer scrapers, so parsing can be reproduced offline.
+//
+//   SCRAPER_MODE=record  save every page, script and XHR response the scrapers
+//                        receive (and the navigations they take) to the fixture dir
+//   SCRAPER_MODE=replay  serve those responses from a local HTTP stand-in instead
+//                        of the live sites; anything not recorded gets a 404
+//
+// Fixture layout (SCRAPER_FIXTURES, default ./fixtures):
+//   responses/<hash>.json   method, url, status, headers of one request
+//   responses/<hash>.body   the response body, as received
+//   navigations.jsonl       one line per main-frame navigation, in order
+//
+// Requests are keyed by a hash of method + url + post data, so the same scraper
+// code asks for the same keys on replay.
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const CONFIG = require('../config');
+
+// Skip what the scrapers never read; keeps fixtures small
+const SKIPPED_RESOURCE_TYPES = ['image', 'font', 'media'];
+
+// Cache-busting query params that change on every request
+const IGNORED_PARAMS = ['_', 'cb', 'timestamp'];
+
+// Bodies are stored decoded, so these no longer apply on replay
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+const mode = () => CONFIG.replay.mode;
+const isRecording = () => mode() === 'record';
+const isReplaying = () => mode() === 'replay';
+
+const responsesDir = () => path.join(CONFIG.replay.fixtureDir, 'responses');
+const navigationsFile = () => path.join(CONFIG.replay.fixtureDir, 'navigations.jsonl');
+
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    IGNORED_PARAMS.forEach(param => parsed.searchParams.delete(param));
+    return parsed.toString();
+  } catch (e) {
+    return url;
+  }
+}
+
+function requestKey(method, url, postData) {
+  return crypto.createHash('sha1')
+    .update(`${method.toUpperCase()} ${normalizeUrl(url)}\n${postData || ''}`)
+    .digest('hex');
+}
+
+const shouldSkip = (request) =>
+  SKIPPED_RESOURCE_TYPES.includes(request.resourceType()) || !/^https?:/.test(request.url());
+
+// ---------- Recording ----------
+
+// Response bodies are read asynchronously; settle() waits for them before a page closes
+const pendingWrites = new Set();
+
+function track(promise) {
+  pendingWrites.add(promise);
+  promise.finally(() => pendingWrites.delete(promise));
+}
+
+async function saveResponse(response) {
+  const request = response.request();
+  const key = requestKey(request.method(), request.url(), request.postData());
+  const status = response.status();
+  const headers = response.headers();
+
+  // Redirects and preflights have no body to read
+  let body = Buffer.alloc(0);
+  if (status < 300 || status >= 400) {
+    try {
+      body = await response.buffer();
+    } catch (e) {
+      return;
+    }
+  }
+
+  await fs.mkdir(responsesDir(), { recursive: true });
+  await fs.writeFile(path.join(responsesDir(), `${key}.body`), body);
+  await fs.writeFile(path.join(responsesDir(), `${key}.json`), JSON.stringify({
+    method: request.method(),
+    url: request.url(),
+    postData: request.postData() || null,
+    resourceType: request.resourceType(),
+    status,
+    headers,
+    recordedAt: new Date().toISOString()
+  }, null, 2));
+}
+
+function recordPage(page, scope) {
+  page.on('response', (response) => {
+    if (shouldSkip(response.request())) return;
+    track(saveResponse(response).catch(error => {
+      console.log(`   ⚠️ Could not record ${response.url()}: ${error.message}`);
+    }));
+  });
+
+  page.on('framenavigated', (frame) => {
+    if (frame !== page.mainFrame()) return;
+    const line = JSON.stringify({ scope, url: frame.url(), at: new Date().toISOString() });
+    track(fs.mkdir(CONFIG.replay.fixtureDir, { recursive: true })
+      .then(() => fs.appendFile(navigationsFile(), line + '\n'))
+      .catch(error => console.log(`   ⚠️ Could not record navigation: ${error.message}`)));
+  });
+}
+
+// ---------- Replay ----------
+
+let standIn = null;
+
+// Local HTTP stand-in: GET /<hash> answers with the recorded status, headers and body
+function startStandIn() {
+  if (standIn) return standIn;
+
+  standIn = new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      const key = path.basename(req.url.split('?')[0]);
+      const metaPath = path.join(responsesDir(), `${key}.json`);
+      if (!/^[0-9a-f]{40}$/.test(key) || !fsSync.existsSync(metaPath)) {
+        res.writeHead(404, { 'content-type': 'text/plain' });
+        res.end('Not recorded');
+        return;
+      }
+
+      const meta = JSON.parse(fsSync.readFileSync(metaPath, 'utf8'));
+      const headers = {};
+      for (const [name, value] of Object.entries(meta.headers || {})) {
+        if (!DROPPED_HEADERS.includes(name.toLowerCase())) headers[name] = value;
+      }
+      res.writeHead(meta.status, headers);
+      res.end(fsSync.readFileSync(path.join(responsesDir(), `${key}.body`)));
+    });
+
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      server.unref(); // never keep a finished scrape alive
+      const base = `http://127.0.0.1:${server.address().port}`;
+      console.log(`📼 Replaying fixtures from ${CONFIG.replay.fixtureDir} via ${base}`);
+      resolve(base);
+    });
+  });
+  return standIn;
+}
+
+async function replayPage(page, scope) {
+  const base = await startStandIn();
+  const missing = new Set();
+
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    if (!/^https?:/.test(request.url())) {
+      request.continue();
+      return;
+    }
+
+    const key = requestKey(request.method(), request.url(), request.postData());
+    if (fsSync.existsSync(path.join(responsesDir(), `${key}.json`))) {
+      // The page still sees the original URL, so page.url() checks keep working
+      request.continue({ url: `${base}/${key}` });
+      return;
+    }
+
+    if (!shouldSkip(request) && !missing.has(key)) {
+      missing.add(key);
+      console.log(`   📼 ${scope}: not recorded ${request.method()} ${request.url()}`);
+    }
+    request.respond({ status: 404, contentType: 'text/plain', body: 'Not recorded' });
+  });
+}
+
+// Call on every new page before its first navigation
+async function preparePage(page, scope) {
+  if (isRecording()) recordPage(page, scope);
+  else if (isReplaying()) await replayPage(page, scope);
+}
+
+// Wait for recorded responses to hit disk; call before closing a page or browser
+async function settle() {
+  while (pendingWrites.size > 0) {
+    await Promise.allSettled([...pendingWrites]);
+  }
+}
+
+module.exports = {
+  preparePage,
+  settle,
+  isRecording,
+  isReplaying,
+  requestKey
+};
@@ -0,0 +1,75 @@
+// Retry policy for scraper steps: exponential backoff, with errors sorted into
+// the few kinds we can act on:
+//   timeout           page or wait took too long
+//   navigation        network error, or the page didn't end up where expected
+//   selector-missing  page loaded but the element we parse isn't there
+//   blocked           the site refused us (403/429, captcha, access denied)
+// Anything else is a bug in our own code and is not retried.
+
+const CONFIG = require('../config');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const ERROR_TYPES = ['timeout', 'navigation', 'selector-missing', 'blocked', 'unknown'];
+
+// Thrown by scrapers when they can tell what went wrong themselves
+class ScrapeError extends Error {
+  constructor(message, type) {
+    super(message);
+    this.name = 'ScrapeError';
+    this.type = type;
+  }
+}
+
+function classifyError(error) {
+  if (error instanceof ScrapeError) return error.type;
+  const message = error?.message || '';
+  if (/waiting for selector|waiting failed|no node found/i.test(message)) return 'selector-missing';
+  if (error?.name === 'TimeoutError' || /timeout|timed out/i.test(message)) return 'timeout';
+  if (/net::ERR_|navigation|detached|target closed|session closed|ECONNRE|ENOTFOUND/i.test(message)) return 'navigation';
+  return 'unknown';
+}
+
+// Throw if a page.goto() response says the site is refusing us
+async function assertNotBlocked(response, page) {
+  const status = response?.status();
+  if (status === 403 || status === 429) {
+    throw new ScrapeError(`Blocked (HTTP ${status})`, 'blocked');
+  }
+  if (page) {
+    const title = (await page.title().catch(() => '')).toLowerCase();
+    if (/access denied|captcha|attention required|just a moment/.test(title)) {
+      throw new ScrapeError(`Blocked (${title})`, 'blocked');
+    }
+  }
+}
+
+// Run fn(attempt) up to retries + 1 times. Resolves with fn's result, or throws
+// the last error with .type and .attempts set.
+async function withRetry(fn, options = {}) {
+  const { retries = CONFIG.maxRetries, baseDelay = 2000, label = 'request' } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const type = classifyError(error);
+      error.type = type;
+      error.attempts = attempt;
+      if (type === 'unknown' || attempt > retries) throw error;
+
+      // Back off harder when the site is pushing back
+      const wait = baseDelay * Math.pow(2, attempt - 1) * (type === 'blocked' ? 4 : 1);
+      console.log(`     ↻ ${label}: ${type}, retry ${attempt}/${retries} in ${Math.round(wait / 1000)}s`);
+      await delay(wait);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  classifyError,
+  assertNotBlocked,
+  ScrapeError,
+  ERROR_TYPES
+};
@@ -0,0 +1,147 @@
+// Sale scoring - lead score for CivilView sheriff sale listings. Separate from the
+// pre-foreclosure model (a listed property is much further along), and built only
+// from what the listing scrape already has:
+//   postponements in statusHistory, days until the sale, debt vs assessed value,
+//   plaintiff type (lender vs tax/municipal/HOA), entity defendants, and estate /
+//   heir defendants (probate leads, see lib/estate-detection.js).
+// Assessed value comes from the listing itself or its own property enrichment, or
+// from the linked pipeline case's property enrichment.
+
+const { findPipelineCase, isPostponed, isSold } = require('./case-linker');
+const { detectEstate } = require('./estate-detection');
+const { normalizeServicer } = require('./servicers');
+
+const SALE_SCORING = {
+  // Adjournments mean the owner is buying time - usually trying to save or sell
+  postponements: [
+    { max: 0, points: 0, text: null },
+    { max: 1, points: 8, text: '⏸️ Postponed once - owner buying time' },
+    { max: 3, points: 15, text: '⏸️ Postponed {n} times - owner negotiating' },
+    { max: null, points: 20, text: '⏸️ Postponed {n} times - running out of options' }
+  ],
+
+  // Days until the sale date
+  daysUntilSale: [
+    { max: -1, points: 0, text: '📅 Sale date has passed' },
+    { max: 6, points: 5, text: '📅 Sale in {n} days - very little time to act' },
+    { max: 30, points: 20, text: '🎯 Sale in {n} days - maximum urgency' },
+    { max: 60, points: 15, text: '📅 Sale in {n} days' },
+    { max: 120, points: 8, text: '📅 Sale in {n} days - time to work the lead' },
+    { max: null, points: 3, text: '📅 Sale more than 4 months out' }
+  ],
+
+  // Debt as a share of assessed value
+  debtToValue: [
+    { max: 0.5, points: 25, text: '💰 Debt {n}% of assessed value - large equity cushion' },
+    { max: 0.8, points: 15, text: '💰 Debt {n}% of assessed value - solid equity' },
+    { max: 1.0, points: 5, text: '💰 Debt {n}% of assessed value - thin equity' },
+    { max: null, points: -10, text: '📉 Debt {n}% of assessed value - likely underwater' }
+  ],
+
+  taxOrMunicipalPlaintiff: 15,
+  lenderPlaintiff: 5,
+  entityDefendant: -8,
+  probateDefendant: 15,
+  bankruptcyStatus: -15,
+
+  gradeCutoffs: { A: 60, B: 45, C: 30, D: 15 }
+};
+
+// Plaintiff type from the servicer's loan type (lib/servicers.js)
+function plaintiffType(plaintiff) {
+  const servicer = normalizeServicer(plaintiff);
+  if (!servicer) return null;
+  if (['tax-lien', 'municipal-lien', 'hoa'].includes(servicer.loanType)) return 'tax-municipal';
+  if (['conventional', 'fha', 'va', 'non-bank'].includes(servicer.loanType)) return 'lender';
+  return 'other';
+}
+
+// Same entity check the pre-foreclosure model uses
+function isEntityDefendant(defendant) {
+  const d = (defendant || '').toUpperCase();
+  return d.includes('LLC') || d.includes('INC') || d.includes('CORP') ||
+         d.includes('TRUST') || d.includes('BANK') || d.includes('REAL ESTATE');
+}
+
+// Whole days from `now` until the sale (negative once it has passed); null if unparseable
+function daysUntilSale(salesDate, now = new Date()) {
+  const m = (salesDate || '').match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (!m) return null;
+  const sale = new Date(m[3], m[1] - 1, m[2]);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((sale - today) / 86400000);
+}
+
+const findBand = (bands, value) => bands.find(b => b.max === null || value <= b.max);
+
+// options: { assessedValue, now }
+function scoreSaleListing(p, options = {}) {
+  const now = options.now || new Date();
+  let score = 0;
+  const factors = [];
+  const add = (points, text) => {
+    if (!text) return;
+    score += points;
+    factors.push({ text, impact: points });
+  };
+  const addBand = (band, n) => band && add(band.points, band.text && band.text.replace('{n}', n));
+
+  // Already sold: nothing left to do
+  if (isSold(p.status)) {
+    return { score: 0, grade: 'F', factors: [{ text: '🔨 Already sold at sheriff sale', impact: 0 }], daysUntilSale: null, debtToValue: null, leadType: null };
+  }
+
+  // 1️⃣ Postponements
+  const postponements = (p.statusHistory || []).filter(h => isPostponed(h.status)).length;
+  addBand(findBand(SALE_SCORING.postponements, postponements), postponements);
+
+  // 2️⃣ Time until sale
+  const days = daysUntilSale(p.salesDate, now);
+  if (days !== null) addBand(findBand(SALE_SCORING.daysUntilSale, days), days);
+
+  // 3️⃣ Debt vs assessed value
+  const assessedValue = p.assessedValue || options.assessedValue || null;
+  let debtToValue = null;
+  if (assessedValue > 0 && p.debtAmount > 0) {
+    debtToValue = Math.round((p.debtAmount / assessedValue) * 100) / 100;
+    addBand(findBand(SALE_SCORING.debtToValue, debtToValue), Math.round(debtToValue * 100));
+  } else {
+    factors.push({ text: '❓ No assessed value to compare debt against', impact: 0 });
+  }
+
+  // 4️⃣ Plaintiff type
+  const type = plaintiffType(p.plaintiff);
+  if (type === 'tax-municipal') add(SALE_SCORING.taxOrMunicipalPlaintiff, '🏛️ Tax/municipal/HOA lien - small debt, often owned free & clear');
+  else if (type === 'lender') add(SALE_SCORING.lenderPlaintiff, '🏦 Mortgage lender foreclosure');
+
+  // 5️⃣ Defendant: an estate or heirs (the owner has died) is a probate lead
+  const estate = detectEstate(p);
+  if (estate.isEstate) add(SALE_SCORING.probateDefendant, `⚰️ Probate lead - ${estate.signals.map(sg => sg.text.replace(/^\S+ /, '')).join(', ').toLowerCase()}`);
+  else if (isEntityDefendant(p.defendant)) add(SALE_SCORING.entityDefendant, '🏢 Entity defendant - less motivated');
+
+  if (/BANKRUPT/i.test(p.status || '')) add(SALE_SCORING.bankruptcyStatus, '🚫 Bankruptcy - sale on hold');
+
+  score = Math.max(0, Math.min(100, score));
+  const cutoffs = SALE_SCORING.gradeCutoffs;
+  const grade = score >= cutoffs.A ? 'A' : score >= cutoffs.B ? 'B' : score >= cutoffs.C ? 'C' : score >= cutoffs.D ? 'D' : 'F';
+
+  return { score, grade, factors, daysUntilSale: days, debtToValue, leadType: estate.isEstate ? 'probate' : 'standard' };
+}
+
+// Score every listing in place, borrowing assessed values from linked pipeline cases
+function applySaleScores(properties, cases = [], now = new Date()) {
+  for (const p of properties) {
+    const own = p.propertyEnrichment?.assessedValue;
+    const link = p.assessedValue || own ? null : findPipelineCase(p, cases);
+    const ls = scoreSaleListing(p, { assessedValue: own || link?.caseData.propertyEnrichment?.assessedValue, now });
+    p.leadScore = ls.score;
+    p.leadGrade = ls.grade;
+    p.scoreFactors = ls.factors;
+    p.daysUntilSale = ls.daysUntilSale;
+    p.debtToValue = ls.debtToValue;
+    p.leadType = ls.leadType;
+  }
+  return properties;
+}
+
+module.exports = { scoreSaleListing, applySaleScores, plaintiffType, daysUntilSale, SALE_SCORING };
@@ -0,0 +1,71 @@
+// Score diff - explains why a lead's score moved between two scorings by
+// comparing their scoreFactors, e.g.
+//   "🔥 Very recent filing (<14 days) - actively litigating −12 added; 🎯 SWEET SPOT (9-18 months) - maximum pressure +25 removed"
+//
+// Factors are matched on their text with numbers masked, so "High activity (10
+// entries)" and "High activity (11 entries)" are the same factor; a matched factor
+// whose impact moved is "changed".
+
+const factorKey = (f) => (f.text || '').replace(/\d+(\.\d+)?/g, '#');
+
+const formatImpact = (n) => (n > 0 ? `+${n}` : n < 0 ? `−${Math.abs(n)}` : '±0');
+
+function diffScoreFactors(previousFactors, factors) {
+  const previousByKey = new Map((previousFactors || []).map(f => [factorKey(f), f]));
+  const currentKeys = new Set((factors || []).map(factorKey));
+  const added = [];
+  const changed = [];
+
+  for (const f of factors || []) {
+    const before = previousByKey.get(factorKey(f));
+    if (!before) added.push({ text: f.text, impact: f.impact });
+    else if ((before.impact || 0) !== (f.impact || 0)) changed.push({ text: f.text, from: before.impact || 0, to: f.impact || 0 });
+  }
+  const removed = (previousFactors || [])
+    .filter(f => !currentKeys.has(factorKey(f)))
+    .map(f => ({ text: f.text, impact: f.impact }));
+
+  return { added, removed, changed };
+}
+
+// One line per diff; factors worth 0 points don't move the score, so they're left out
+function describeScoreDiff(diff) {
+  const parts = [
+    ...diff.added.filter(f => f.impact).map(f => `${f.text} ${formatImpact(f.impact)} added`),
+    ...diff.removed.filter(f => f.impact).map(f => `${f.text} ${formatImpact(f.impact)} removed`),
+    ...diff.changed.map(f => `${f.text} ${formatImpact(f.from)} → ${formatImpact(f.to)}`)
+  ];
+  return parts.join('; ');
+}
+
+// Set previousScoreFactors and scoreChange on a freshly scored case, from the
+// same case as it was before. When nothing moved the last real change is kept.
+function attachScoreChange(c, previous, at = new Date().toISOString()) {
+  if (!previous || !previous.scoreFactors) return c;
+
+  const diff = diffScoreFactors(previous.scoreFactors, c.scoreFactors);
+  const moved = diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0 ||
+    previous.leadScore !== c.leadScore || previous.leadGrade !== c.leadGrade;
+
+  if (!moved) {
+    if (previous.scoreChange) c.scoreChange = previous.scoreChange;
+    if (previous.previousScoreFactors) c.previousScoreFactors = previous.previousScoreFactors;
+    return c;
+  }
+
+  c.previousScoreFactors = previous.scoreFactors;
+  c.scoreChange = {
+    at,
+    fromScore: previous.leadScore ?? null,
+    toScore: c.leadScore ?? null,
+    fromGrade: previous.leadGrade || null,
+    toGrade: c.leadGrade || null,
+    fromScoringVersion: previous.scoringVersion || null,
+    toScoringVersion: c.scoringVersion || null,
+    ...diff,
+    summary: describeScoreDiff(diff)
+  };
+  return c;
+}
+
+module.exports = { diffScoreFactors, describeScoreDiff, attachScoreChange };
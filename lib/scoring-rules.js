@@ -0,0 +1,269 @@
+// Scoring rules - every weight, band and cutoff the pre-foreclosure lead score
+// uses (see calculateEnhancedScore in scrapers/montco-courts.js), kept in a
+// versioned file so the model can be tuned without a code change or a re-scrape.
+//
+// data/scoring-rules.json: { version, updatedAt, note, rules, history: [{ version, updatedAt, note, rules }] }
+// With no file yet, DEFAULT_RULES are version 1. Each save bumps the version and
+// keeps the previous rules in history.
+//
+// Band lists are checked in order; the first band whose max* covers the value
+// wins (max null = no upper limit). "{n}" in a band's text is replaced with the value.
+
+const fs = require('fs').promises;
+const path = require('path');
+const CONFIG = require('../config');
+
+const RULES_FILE = path.join(CONFIG.outputDir, 'scoring-rules.json');
+
+const DEFAULT_RULES = {
+  // 1️⃣ Case age (days since commenced)
+  caseAge: [
+    { maxDays: 119, points: 0, text: '⏱️ Too early (<4 months) - owner likely in denial' },
+    { maxDays: 179, points: 5, text: '⏱️ Early stage (4-6 months)' },
+    { maxDays: 269, points: 12, text: '⏱️ Building pressure (6-9 months)' },
+    { maxDays: 540, points: 25, text: '🎯 SWEET SPOT (9-18 months) - maximum pressure' },
+    { maxDays: 720, points: 18, text: '⏱️ Late stage (18-24 months)' },
+    { maxDays: null, points: 10, text: '⏱️ Very old case (>24 months) - may be zombie' }
+  ],
+
+  // 2️⃣ Docket activity (number of entries)
+  activity: [
+    { maxEntries: 4, points: 2, text: '📋 Low activity ({n} entries)' },
+    { maxEntries: 8, points: 8, text: '📋 Moderate activity ({n} entries)' },
+    { maxEntries: 14, points: 14, text: '📋 High activity ({n} entries) - decision fatigue' },
+    { maxEntries: null, points: 20, text: '📋 Very high activity ({n} entries) - exhaustion likely' }
+  ],
+
+  // 3️⃣ Continuances, with diminishing returns per continuance
+  continuances: {
+    tiers: [
+      { upTo: 3, pointsEach: 5 },
+      { upTo: 6, pointsEach: 3 },
+      { upTo: null, pointsEach: 1 }
+    ],
+    cap: 25
+  },
+
+  // 4️⃣-6️⃣ One-off docket and case signals
+  signals: {
+    newMatter: -5,
+    preliminaryObjections: -5,
+    opposition: -5,
+    defendantSummaryJudgment: -10,
+    counterclaim: -8,
+    replyToNewMatter: -3,
+    praecipeToReinstate: 5,
+    alternateService: 5,
+    serviceFailure: 5,
+    withdrawalOfCounsel: 12,
+    substitutionOfCounsel: 3,
+    settled: 15,
+    stipulation: 10,
+    stipulationOfDismissal: 8,
+    stayLiftedAfterStay: 12,
+    stayLifted: 8,
+    bankruptcyDischarged: 8,
+    hasAddress: 3,
+    noAddress: -5,
+    entityDefendant: -8
+  },
+
+  // Silence after activity (entries and days since last filing)
+  silence: [
+    { minEntries: 8, minDays: 90, points: 10, text: '💤 Silence after heavy activity - likely exhausted' },
+    { minEntries: 5, minDays: 60, points: 5, text: '💤 Slowing down after activity' }
+  ],
+
+  // 7️⃣ Recent activity penalty (days since last filing; 0 = unknown, no penalty)
+  recency: [
+    { maxDays: 13, points: -12, text: '🔥 Very recent filing (<14 days) - actively litigating' },
+    { maxDays: 29, points: -8, text: '🔥 Recent filing (14-30 days)' },
+    { maxDays: 59, points: -4, text: '⏳ Activity 30-60 days ago' },
+    { maxDays: 89, points: 0, text: '⏳ Activity 60-90 days ago' }
+  ],
+
+  // 8️⃣ "False hope": young case, lots of activity, defendant fighting, no adverse ruling
+  falseHope: { maxDaysOpen: 359, minEntries: 6, points: -8 },
+
+  // 9️⃣ Active bankruptcy, decaying with days since last filing
+  bankruptcy: [
+    { maxDays: 89, points: -25, text: '🚫 Recent bankruptcy activity - case likely stayed' },
+    { maxDays: 179, points: -18, text: '🚫 Bankruptcy (moderating) - still impacting case' },
+    { maxDays: null, points: -10, text: '⚠️ Bankruptcy noted - may be old/resolved' }
+  ],
+
+  // Probate leads (lib/estate-detection.js) - their own path instead of the
+  // litigation signals above. Silence, bankruptcy and address still apply.
+  probate: {
+    // Case age: estates don't resolve themselves; older means heirs more ready to sell
+    caseAge: [
+      { maxDays: 89, points: 10, text: '⏱️ New estate case (<3 months)' },
+      { maxDays: 364, points: 20, text: '⏱️ Estate case open {n} days' },
+      { maxDays: null, points: 30, text: '🎯 Estate case open over a year - heirs likely want out' }
+    ],
+    // Every estate signal says the owner has died, so only the strongest one
+    // counts, plus `corroborated` once when there is more than one
+    signals: {
+      estateOf: 40,
+      deceased: 40,
+      unknownHeirs: 45,
+      administrator: 35,
+      executor: 35,
+      personalRepresentative: 35,
+      suggestionOfDeath: 40,
+      personalRepresentativeSubstituted: 35,
+      corroborated: 5,
+      contested: -10
+    }
+  },
+
+  // Minimum score for each grade; anything lower is F
+  gradeCutoffs: { A: 80, B: 65, C: 50, D: 35 }
+};
+
+// First band covering value (bands sorted by their max field)
+function findBand(bands, value, maxField) {
+  return (bands || []).find(b => b[maxField] === null || b[maxField] === undefined || value <= b[maxField]) || null;
+}
+
+function gradeFor(score, rules) {
+  const cutoffs = rules.gradeCutoffs;
+  for (const grade of ['A', 'B', 'C', 'D']) {
+    if (score >= cutoffs[grade]) return grade;
+  }
+  return 'F';
+}
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// Returns a list of problems; empty means the rules are usable
+function validateRules(rules) {
+  const errors = [];
+  const checkBands = (name, maxField, extra = [], bands = rules[name]) => {
+    if (!Array.isArray(bands) || bands.length === 0) return errors.push(`${name} must be a non-empty array`);
+    let previous = -Infinity;
+    bands.forEach((b, i) => {
+      if (!isNumber(b.points)) errors.push(`${name}[${i}].points must be a number`);
+      extra.forEach(f => { if (!isNumber(b[f])) errors.push(`${name}[${i}].${f} must be a number`); });
+      if (!maxField) return;
+      if (b[maxField] === null) {
+        if (i !== bands.length - 1) errors.push(`${name}[${i}]: only the last band can have ${maxField} null`);
+      } else if (!isNumber(b[maxField]) || b[maxField] <= previous) {
+        errors.push(`${name}[${i}].${maxField} must be a number above the previous band's`);
+      } else {
+        previous = b[maxField];
+      }
+    });
+  };
+
+  checkBands('caseAge', 'maxDays');
+  checkBands('activity', 'maxEntries');
+  checkBands('recency', 'maxDays');
+  checkBands('bankruptcy', 'maxDays');
+  checkBands('silence', null, ['minEntries', 'minDays']);
+  checkBands('probate.caseAge', 'maxDays', [], rules.probate?.caseAge);
+
+  const tiers = rules.continuances?.tiers;
+  if (!Array.isArray(tiers) || tiers.length === 0) errors.push('continuances.tiers must be a non-empty array');
+  else tiers.forEach((t, i) => { if (!isNumber(t.pointsEach)) errors.push(`continuances.tiers[${i}].pointsEach must be a number`); });
+  if (!isNumber(rules.continuances?.cap)) errors.push('continuances.cap must be a number');
+
+  for (const key of Object.keys(DEFAULT_RULES.signals)) {
+    if (!isNumber(rules.signals?.[key])) errors.push(`signals.${key} must be a number`);
+  }
+  for (const key of Object.keys(DEFAULT_RULES.probate.signals)) {
+    if (!isNumber(rules.probate?.signals?.[key])) errors.push(`probate.signals.${key} must be a number`);
+  }
+  for (const key of ['maxDaysOpen', 'minEntries', 'points']) {
+    if (!isNumber(rules.falseHope?.[key])) errors.push(`falseHope.${key} must be a number`);
+  }
+
+  const cutoffs = rules.gradeCutoffs || {};
+  const order = ['A', 'B', 'C', 'D'];
+  order.forEach((g, i) => {
+    if (!isNumber(cutoffs[g])) errors.push(`gradeCutoffs.${g} must be a number`);
+    else if (i > 0 && cutoffs[g] >= cutoffs[order[i - 1]]) errors.push(`gradeCutoffs.${g} must be below ${order[i - 1]}`);
+  });
+
+  return errors;
+}
+
+// Objects merge key by key; arrays and values replace
+function mergeRules(base, patch) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(patch || {})) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])
+      ? mergeRules(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+async function readRulesFile() {
+  try {
+    return JSON.parse(await fs.readFile(RULES_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Current rules: { version, updatedAt, note, rules }
+async function loadScoringRules() {
+  const file = await readRulesFile();
+  if (!file) return { version: 1, updatedAt: null, note: 'Default rules', rules: DEFAULT_RULES };
+  // Rules saved before a new setting existed pick up its default
+  return { version: file.version, updatedAt: file.updatedAt, note: file.note, rules: mergeRules(DEFAULT_RULES, file.rules) };
+}
+
+// Every version, newest first (rules included)
+async function listScoringRuleVersions() {
+  const file = await readRulesFile();
+  if (!file) return [{ version: 1, updatedAt: null, note: 'Default rules', rules: DEFAULT_RULES }];
+  const { history = [], ...current } = file;
+  return [current, ...history];
+}
+
+// Apply a (partial) change to the current rules and save it as a new version.
+// Throws with .validation set if the result isn't usable.
+async function saveScoringRules(patch, options = {}) {
+  const current = await loadScoringRules();
+  const rules = options.replace ? mergeRules(DEFAULT_RULES, patch) : mergeRules(current.rules, patch);
+
+  const errors = validateRules(rules);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid scoring rules: ${errors.join('; ')}`);
+    error.validation = errors;
+    throw error;
+  }
+
+  const file = await readRulesFile();
+  const history = file
+    ? [{ version: file.version, updatedAt: file.updatedAt, note: file.note, rules: file.rules }, ...(file.history || [])]
+    : [{ version: 1, updatedAt: null, note: 'Default rules', rules: DEFAULT_RULES }];
+  const saved = {
+    version: current.version + 1,
+    updatedAt: new Date().toISOString(),
+    note: options.note || null,
+    rules,
+    history
+  };
+
+  await fs.mkdir(path.dirname(RULES_FILE), { recursive: true });
+  await fs.writeFile(`${RULES_FILE}.tmp`, JSON.stringify(saved, null, 2));
+  await fs.rename(`${RULES_FILE}.tmp`, RULES_FILE);
+  return { version: saved.version, updatedAt: saved.updatedAt, note: saved.note, rules };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  loadScoringRules,
+  saveScoringRules,
+  listScoringRuleVersions,
+  validateRules,
+  mergeRules,
+  findBand,
+  gradeFor,
+  RULES_FILE
+};
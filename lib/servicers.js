@@ -0,0 +1,118 @@
+// Servicers - maps the many spellings of a foreclosing plaintiff ("NATIONSTAR
+// MORTGAGE LLC D/B/A MR. COOPER", "U.S. BANK NATIONAL ASSOCIATION, AS TRUSTEE FOR
+// ...") to one canonical servicer with a loan-type hint. Applied to court cases
+// and sheriff sale listings at scrape time as
+//   servicer: { id, name, loanType, known }
+//
+// Loan types:
+//   conventional    bank / agency servicer
+//   fha, va         government-insured loans (high LTV at origination)
+//   non-bank        non-bank servicers that buy delinquent servicing (often high LTV)
+//   private         individual or small private lender
+//   hoa             condo / homeowners association lien
+//   municipal-lien  township, borough, sewer or water authority lien
+//   tax-lien        county tax claim
+//   unknown
+// A plaintiff that isn't in the table gets its own cleaned-up name and a loan
+// type guessed from its wording; known is false.
+
+const SERVICERS = [
+  { id: 'hud', name: 'HUD (Secretary of Housing and Urban Development)', loanType: 'fha', aliases: [/HOUSING AND URBAN DEVELOPMENT/, /\bHUD\b/] },
+  { id: 'va', name: 'U.S. Department of Veterans Affairs', loanType: 'va', aliases: [/VETERANS AFFAIRS/, /SECRETARY OF VETERANS/] },
+  { id: 'usda', name: 'USDA Rural Development', loanType: 'fha', aliases: [/RURAL (HOUSING|DEVELOPMENT)/, /DEPARTMENT OF AGRICULTURE/, /^UNITED STATES OF AMERICA\b/] },
+  { id: 'freedom', name: 'Freedom Mortgage', loanType: 'fha', aliases: [/FREEDOM MORTGAGE/] },
+  { id: 'lakeview', name: 'Lakeview Loan Servicing', loanType: 'fha', aliases: [/LAKEVIEW LOAN/] },
+  { id: 'nationstar', name: 'Nationstar Mortgage (Mr. Cooper)', loanType: 'non-bank', aliases: [/NATIONSTAR/, /MR\.? ?COOPER/] },
+  { id: 'ocwen', name: 'Ocwen / Onity (PHH Mortgage)', loanType: 'non-bank', aliases: [/OCWEN/, /\bPHH\b/, /\bONITY\b/] },
+  { id: 'caliber', name: 'Caliber Home Loans', loanType: 'non-bank', aliases: [/CALIBER HOME/] },
+  { id: 'carrington', name: 'Carrington Mortgage Services', loanType: 'non-bank', aliases: [/CARRINGTON/] },
+  { id: 'newrez', name: 'NewRez (Shellpoint Mortgage Servicing)', loanType: 'non-bank', aliases: [/NEWREZ/, /NEW REZ/, /SHELLPOINT/] },
+  { id: 'sls', name: 'Specialized Loan Servicing', loanType: 'non-bank', aliases: [/SPECIALIZED LOAN SERVICING/, /\bSLS\b/] },
+  { id: 'rushmore', name: 'Rushmore Loan Management', loanType: 'non-bank', aliases: [/RUSHMORE/] },
+  { id: 'selene', name: 'Selene Finance', loanType: 'non-bank', aliases: [/SELENE/] },
+  { id: 'fay', name: 'Fay Servicing', loanType: 'non-bank', aliases: [/FAY SERVICING/] },
+  { id: 'select-portfolio', name: 'Select Portfolio Servicing', loanType: 'non-bank', aliases: [/SELECT PORTFOLIO/, /\bSPS\b/] },
+  { id: 'roundpoint', name: 'RoundPoint Mortgage Servicing', loanType: 'non-bank', aliases: [/ROUND ?POINT/] },
+  { id: 'midfirst', name: 'MidFirst Bank', loanType: 'fha', aliases: [/MIDFIRST/, /MIDLAND MORTGAGE/] },
+  { id: 'wells-fargo', name: 'Wells Fargo', loanType: 'conventional', aliases: [/WELLS FARGO/] },
+  { id: 'chase', name: 'JPMorgan Chase', loanType: 'conventional', aliases: [/JP ?MORGAN/, /\bCHASE\b/] },
+  { id: 'bank-of-america', name: 'Bank of America', loanType: 'conventional', aliases: [/BANK OF AMERICA/, /COUNTRYWIDE/] },
+  { id: 'citi', name: 'Citibank / CitiMortgage', loanType: 'conventional', aliases: [/CITIMORTGAGE/, /CITIBANK/] },
+  { id: 'pnc', name: 'PNC Bank', loanType: 'conventional', aliases: [/\bPNC\b/] },
+  { id: 'truist', name: 'Truist (SunTrust / BB&T)', loanType: 'conventional', aliases: [/TRUIST/, /SUNTRUST/, /\bBB ?& ?T\b/] },
+  { id: 'rocket', name: 'Rocket Mortgage (Quicken Loans)', loanType: 'conventional', aliases: [/ROCKET MORTGAGE/, /QUICKEN LOANS/] },
+  { id: 'penny-mac', name: 'PennyMac Loan Services', loanType: 'conventional', aliases: [/PENNY ?MAC/] },
+  { id: 'loancare', name: 'LoanCare', loanType: 'conventional', aliases: [/LOANCARE/] },
+  { id: 'cenlar', name: 'Cenlar', loanType: 'conventional', aliases: [/CENLAR/] },
+  { id: 'fannie-mae', name: 'Fannie Mae', loanType: 'conventional', aliases: [/FEDERAL NATIONAL MORTGAGE/, /FANNIE MAE/] },
+  { id: 'freddie-mac', name: 'Freddie Mac', loanType: 'conventional', aliases: [/FEDERAL HOME LOAN MORTGAGE/, /FREDDIE MAC/] },
+  { id: 'phfa', name: 'Pennsylvania Housing Finance Agency', loanType: 'conventional', aliases: [/PENNSYLVANIA HOUSING FINANCE/, /\bPHFA\b/] },
+  { id: 'njhmfa', name: 'NJ Housing and Mortgage Finance Agency', loanType: 'conventional', aliases: [/NEW JERSEY HOUSING AND MORTGAGE/, /\bNJHMFA\b/] },
+  // Trustees: the trust's servicer isn't named, so the trustee stands in for it
+  { id: 'us-bank', name: 'U.S. Bank (as trustee)', loanType: 'conventional', aliases: [/\bU\.? ?S\.? BANK\b/] },
+  { id: 'deutsche-bank', name: 'Deutsche Bank (as trustee)', loanType: 'conventional', aliases: [/DEUTSCHE BANK/] },
+  { id: 'bank-of-new-york', name: 'Bank of New York Mellon (as trustee)', loanType: 'conventional', aliases: [/BANK OF NEW YORK/, /\bBNY\b/] },
+  { id: 'wilmington', name: 'Wilmington Savings Fund Society / Wilmington Trust', loanType: 'non-bank', aliases: [/WILMINGTON/, /CHRISTIANA TRUST/] },
+  { id: 'hsbc', name: 'HSBC Bank (as trustee)', loanType: 'conventional', aliases: [/\bHSBC\b/] },
+  { id: 'mtglq', name: 'MTGLQ Investors', loanType: 'non-bank', aliases: [/MTGLQ/] }
+];
+
+// Wording that gives away the loan type when the plaintiff isn't in the table.
+// Whole words only: BRIDGEWATER is not a water authority.
+const TAX_LIEN = /\bTAX(ES)?\b/;
+const MUNICIPAL = /\b(TOWNSHIP|BOROUGH|CITY OF|COUNTY|SEWER|WATER|AUTHORITY|SCHOOL DISTRICT|MUNICIPAL(ITY)?)\b/;
+const HOA = /\b(CONDOMINIUM|CONDO|HOMEOWNERS|HOA|COMMUNITY ASSOCIATION|OWNERS ASSOCIATION)\b/;
+const LENDER = /\b(BANK|MORTGAGE|LOANS?|LENDING|FINANCIAL|FINANCE|SERVICING|CREDIT UNION|FEDERAL|FSB|SAVINGS|TRUST|HOUSING (FINANCE|AUTHORITY|AGENCY))\b/;
+const ENTITY = /\b(LLC|INC|CORP|CORPORATION|COMPANY|LP|LTD|TRUST|FUND|ASSOCIATION|PARTNERS|HOLDINGS|CAPITAL|INVESTORS?)\b/;
+
+const LEGAL_SUFFIX = /( (NA|LLC|INC|CORP|CORPORATION|CO|COMPANY|LP|LTD|FSB))+$/;
+
+const clean = (s) => String(s || '').toUpperCase().replace(/\s+/g, ' ').trim();
+
+// The foreclosing party itself: drop "AS TRUSTEE FOR ...", "D/B/A ...", "ET AL", successor clauses
+function primaryParty(plaintiff) {
+  return clean(plaintiff)
+    .split(/,? (NOT (IN ITS )?INDIVIDUALLY|(SOLELY )?AS (OWNER )?TRUSTEE|AS SUCCESSOR|SUCCESSOR BY MERGER|D\/B\/A|F\/K\/A|A\/K\/A|ET AL|IN TRUST FOR|ON BEHALF OF)\b/)[0]
+    .replace(/[.,]+$/, '')
+    .trim();
+}
+
+const titleCase = (s) => s.toLowerCase().replace(/\b[a-z]/g, ch => ch.toUpperCase());
+
+// A lien type would make the equity model treat the whole debt as a lien, so
+// lender wording ("MONTGOMERY COUNTY SAVINGS BANK") wins over a place name
+function guessLoanType(p) {
+  if (TAX_LIEN.test(p)) return 'tax-lien';
+  if (LENDER.test(p)) return 'conventional';
+  if (HOA.test(p)) return 'hoa';
+  if (MUNICIPAL.test(p)) return 'municipal-lien';
+  // An entity that isn't a lender, or what looks like a person's name
+  return ENTITY.test(p) || p.split(' ').length <= 4 ? 'private' : 'unknown';
+}
+
+// plaintiff string → { id, name, loanType, known }
+function normalizeServicer(plaintiff) {
+  const raw = clean(plaintiff);
+  if (!raw) return null;
+  // Named servicers are looked for anywhere in the string ("... C/O NATIONSTAR"),
+  // the primary party first so a trustee's trust name doesn't win
+  const primary = primaryParty(raw);
+  const entry = SERVICERS.find(s => s.aliases.some(a => a.test(primary))) ||
+                SERVICERS.find(s => s.aliases.some(a => a.test(raw)));
+  if (entry) return { id: entry.id, name: entry.name, loanType: entry.loanType, known: true };
+
+  // "CITIZENS BANK, N.A." and "Citizens Bank NA" are the same plaintiff
+  const name = primary.replace(/[.']/g, '').replace(/[^A-Z0-9& ]+/g, ' ').replace(/\s+/g, ' ').trim()
+    .replace(LEGAL_SUFFIX, '').trim() || raw;
+  return {
+    id: name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+    name: titleCase(name),
+    loanType: guessLoanType(raw),
+    known: false
+  };
+}
+
+// Stored servicer, or worked out for records saved before servicers existed
+const withServicer = (record) => record.servicer !== undefined ? record : { ...record, servicer: normalizeServicer(record.plaintiff) };
+
+module.exports = { normalizeServicer, withServicer, primaryParty, SERVICERS };
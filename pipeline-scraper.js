@@ -3,8 +3,20 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { scrapeMontgomeryCourts } = require('./scrapers/montco-courts');
-const { enrichCases, estimateEquity } = require('./scrapers/property-enrichment');
+const { estimateEquity } = require('./lib/equity-model');
+const { findSaleListing } = require('./lib/case-linker');
+const { normalizeServicer } = require('./lib/servicers');
+const { getEnabledAdapters, runAdapter, runEnrichment } = require('./scrapers/registry');
+const { recordRun, getCurrent, updateCurrent } = require('./lib/history-store');
+const { openCheckpoint } = require('./lib/checkpoint');
+const { getFailedKeys, getFailures } = require('./lib/failure-ledger');
+const { calculateEnhancedScore } = require('./scrapers/montco-courts');
+const { loadScoringRules } = require('./lib/scoring-rules');
+const { getDocket } = require('./lib/docket-store');
+const { classifyDocket } = require('./lib/docket-classifier');
+const { refreshOutcomes } = require('./lib/outcome-tracker');
+const { attachScoreChange } = require('./lib/score-diff');
+const { ageCase, ageCases } = require('./lib/case-aging');
 
 const OUTPUT_DIR = './data';
 const OUTPUT_FILE = 'pipeline.json';
@@ -12,31 +24,53 @@ const OUTPUT_FILE = 'pipeline.json';
 // Configuration
 const PIPELINE_CONFIG = {
   enableEnrichment: true,       // Set to false to skip property enrichment
-  maxCasesToEnrich: 25,         // Limit enrichment to top leads (by score)
+  maxCasesToEnrich: null,       // Limit enrichment to top leads (by score); null = every case
   includeEquityEstimates: true  // Calculate equity estimates
 };
 
 async function runPipelineScraper(options = {}) {
   const config = { ...PIPELINE_CONFIG, ...options };
+  const startedAt = new Date().toISOString();
   
   console.log('🏛️ Pre-Foreclosure Pipeline Scraper (Enhanced)');
   console.log('==============================================');
   console.log(`Started at: ${new Date().toLocaleString()}`);
   console.log('Features: Docket analysis, lead scoring, distress signals');
   if (config.enableEnrichment) {
-    console.log(`Property enrichment: Enabled (top ${config.maxCasesToEnrich} leads)`);
+    console.log(`Property enrichment: Enabled (${config.maxCasesToEnrich ? `top ${config.maxCasesToEnrich} leads` : 'all cases'}, cached lookups reused)`);
   }
   if (config.testMode) {
     console.log('⚡ TEST MODE ENABLED');
   }
+  
+  // Retry-failed mode only re-scrapes the cases in the failure ledger
+  const retryOnly = config.retryFailed ? await getFailedKeys('pipeline') : null;
+  if (retryOnly) {
+    console.log(`↻ RETRY FAILED ONLY: ${retryOnly.size} cases in the failure ledger`);
+  }
+  
+  // Progress is checkpointed after every case; resume continues the last unfinished run
+  const checkpoint = await openCheckpoint('pipeline', {
+    resume: !!config.resume,
+    meta: { testMode: !!config.testMode }
+  });
+  if (checkpoint.resumed) {
+    console.log(`⏭ Resuming run started ${checkpoint.startedAt} (${checkpoint.completedCount} cases done)`);
+  } else if (config.resume) {
+    console.log('⏭ No checkpoint to resume, starting a new run');
+  }
   console.log('');
   
   let allCases = [];
+  const sources = {};
   
   try {
-    // Scrape Montgomery County Courts
-    const montcoCases = await scrapeMontgomeryCourts({ testMode: config.testMode });
-    allCases.push(...montcoCases);
+    // Court sources enabled in config (see scrapers/registry.js)
+    for (const adapter of getEnabledAdapters('court-pipeline')) {
+      const { items, report } = await runAdapter(adapter, { testMode: config.testMode, checkpoint, retryOnly });
+      allCases.push(...items.map(c => ({ ...c, sourceId: adapter.id, servicer: normalizeServicer(c.plaintiff) })));
+      sources[adapter.id] = report;
+    }
     
     // Property enrichment for top leads
     if (config.enableEnrichment && allCases.length > 0) {
@@ -45,26 +79,52 @@ async function runPipelineScraper(options = {}) {
       // Sort by lead score (already sorted, but ensure)
       allCases.sort((a, b) => (b.leadScore || 0) - (a.leadScore || 0));
       
-      // Enrich top cases
-      allCases = await enrichCases(allCases, {
-        maxCases: config.maxCasesToEnrich
-      });
+      // Each county's cases go to that county's enrichment source
+      const { items, reports } = await runEnrichment(allCases, { maxCases: config.maxCasesToEnrich });
+      allCases = items;
+      Object.assign(sources, reports);
       
-      // Calculate equity estimates
+      // Calculate equity estimates, taking the debt from a matching sheriff sale when there is one
       if (config.includeEquityEstimates) {
+        const properties = await getCurrent('properties');
         allCases = allCases.map(c => ({
           ...c,
-          equityEstimate: c.propertyEnrichment ? estimateEquity(c) : null
+          equityEstimate: c.propertyEnrichment
+            ? estimateEquity(c, { saleListing: findSaleListing(c, properties)?.property })
+            : null
         }));
       }
     }
     
-    // Can add more court sources here in the future
-    
   } catch (error) {
     console.error('Scraper error:', error);
   }
   
+  // Record the run in the history store, then work from the merged current state
+  // so cases not scraped this time (test mode, failures) keep their last known data.
+  // An empty run, or one where a court source failed, is treated as partial so a
+  // broken scrape can't mark everything dropped.
+  const scrapedCases = allCases;
+  
+  // Explain score moves against each case as we had it before this run
+  const previousByCase = new Map((await getCurrent('pipeline')).map(c => [c.caseNumber, c]));
+  scrapedCases.forEach(c => attachScoreChange(c, previousByCase.get(c.caseNumber)));
+  const courtSourceFailed = Object.values(sources).some(s => s.kind === 'court-pipeline' && s.status !== 'ok');
+  // Cases that failed to scrape this run are still in the case list; they keep their last data
+  const failedThisRun = new Set((await getFailures('pipeline')).filter(f => f.lastFailedAt >= startedAt).map(f => f.key));
+  const { run, current } = await recordRun('pipeline', scrapedCases, {
+    keyField: 'caseNumber',
+    keepActive: failedThisRun,
+    partial: !!config.testMode || !!config.retryFailed || scrapedCases.length === 0 || courtSourceFailed,
+    carryForward: ['propertyEnrichment', 'equityEstimate', 'parcelNumber', 'parcelMatch'],
+    meta: { testMode: !!config.testMode, retryFailed: !!config.retryFailed, enrichmentEnabled: config.enableEnrichment }
+  });
+  // Cases carried forward from earlier runs get today's ages too
+  allCases = ageCases(current);
+  const changed = run.changeSummary;
+  console.log(`\n🗄️ History: ${run.itemCount} cases recorded (${run.added} new, ${run.dropped} dropped)`);
+  console.log(`   Changes: ${changed.upgrades} upgrades, ${changed.downgrades} downgrades, ${changed.newDocketEvents} with new docket events`);
+  
   // Re-sort by lead score (highest first)
   allCases.sort((a, b) => (b.leadScore || 0) - (a.leadScore || 0));
   
@@ -76,10 +136,9 @@ async function runPipelineScraper(options = {}) {
   
   const outputData = {
     lastUpdated: new Date().toISOString(),
+    lastRunId: run.runId,
     totalCases: allCases.length,
-    sources: {
-      'Montgomery County Courts': allCases.filter(c => c.county === 'Montgomery').length
-    },
+    sources,
     statistics: stats,
     config: {
       enrichmentEnabled: config.enableEnrichment,
@@ -93,6 +152,12 @@ async function runPipelineScraper(options = {}) {
     JSON.stringify(outputData, null, 2)
   );
   
+  // Everything is saved now, so the next run starts fresh
+  await checkpoint.clear();
+  
+  // Note what happened to cases since last run, for score backtesting
+  await refreshOutcomes().catch(error => console.log(`⚠️ Outcome tracking failed: ${error.message}`));
+  
   // Print summary
   console.log('\n' + '='.repeat(50));
   console.log('📊 PIPELINE SUMMARY');
@@ -117,6 +182,7 @@ async function runPipelineScraper(options = {}) {
   console.log(`\n💾 Saved to ${path.join(OUTPUT_DIR, OUTPUT_FILE)}`);
   console.log(`Completed at: ${new Date().toLocaleString()}`);
   
+  // What pipeline.json now holds: every active case, aged to today, not just this run's
   return allCases;
 }
 
@@ -133,6 +199,7 @@ function calculateStats(cases) {
     hasDefaultMotion: 0,
     hasDefendantAttorney: 0,
     hasConciliation: 0,
+    hasBankruptcy: 0,
     enrichedCases: 0,
     avgAssessedValue: null,
     byCity: {}
@@ -160,6 +227,7 @@ function calculateStats(cases) {
     if (c.docketSummary?.hasDefaultMotion) stats.hasDefaultMotion++;
     if (c.docketSummary?.hasDefendantAttorney) stats.hasDefendantAttorney++;
     if (c.docketSummary?.hasConciliation) stats.hasConciliation++;
+    if (c.docketSummary?.hasBankruptcy) stats.hasBankruptcy++;
     
     // Enrichment
     if (c.propertyEnrichment) {
@@ -185,10 +253,76 @@ function calculateStats(cases) {
   return stats;
 }
 
+// Recompute leadScore, leadGrade and scoreFactors for the stored cases with the
+// current scoring rules - no scraping. Cases saved before docket classification
+// get their docketSummary from the docket store.
+async function rescorePipeline() {
+  const file = path.join(OUTPUT_DIR, OUTPUT_FILE);
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+  const scoring = await loadScoringRules();
+  const now = new Date();
+  const gradeOrder = ['F', 'D', 'C', 'B', 'A'];
+  const result = { version: scoring.version, total: data.cases.length, changed: 0, upgrades: 0, downgrades: 0 };
+  const patches = {};
+  
+  for (const c of data.cases) {
+    if (!c.docketSummary) {
+      const docket = await getDocket(c.caseNumber);
+      if (docket) c.docketSummary = classifyDocket(docket.entries).summary;
+    }
+    // Ages move on every day, so the age-dependent score factors are re-evaluated too
+    Object.assign(c, ageCase(c, now));
+    
+    const ls = calculateEnhancedScore(c, scoring.rules);
+    if (ls.score !== c.leadScore || ls.grade !== c.leadGrade) result.changed++;
+    const move = gradeOrder.indexOf(ls.grade) - gradeOrder.indexOf(c.leadGrade);
+    if (c.leadGrade && move > 0) result.upgrades++;
+    if (c.leadGrade && move < 0) result.downgrades++;
+    
+    const before = { ...c };
+    c.leadScore = ls.score;
+    c.leadGrade = ls.grade;
+    c.leadType = ls.leadType;
+    c.scoreFactors = ls.factors;
+    c.scoringVersion = scoring.version;
+    attachScoreChange(c, before);
+    patches[c.caseNumber] = {
+      docketSummary: c.docketSummary,
+      leadScore: c.leadScore,
+      leadGrade: c.leadGrade,
+      leadType: c.leadType,
+      scoreFactors: c.scoreFactors,
+      scoringVersion: c.scoringVersion,
+      scoreChange: c.scoreChange,
+      previousScoreFactors: c.previousScoreFactors
+    };
+  }
+  
+  data.cases.sort((a, b) => (b.leadScore || 0) - (a.leadScore || 0));
+  data.statistics = calculateStats(data.cases);
+  data.scoringVersion = scoring.version;
+  data.lastRescored = now.toISOString();
+  
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(data, null, 2));
+  await fs.rename(`${file}.tmp`, file);
+  // The history store is what the next (partial) run rebuilds pipeline.json from,
+  // and what change detection and outcome tracking compare against
+  await updateCurrent('pipeline', patches);
+  
+  result.byGrade = data.statistics.byGrade;
+  console.log(`🧮 Rescored ${result.total} cases with scoring rules v${scoring.version}: ${result.changed} changed (${result.upgrades} up, ${result.downgrades} down)`);
+  return result;
+}
+
 // Export for use by server
-module.exports = { runPipelineScraper, OUTPUT_DIR, OUTPUT_FILE, PIPELINE_CONFIG };
+module.exports = { runPipelineScraper, rescorePipeline, OUTPUT_DIR, OUTPUT_FILE, PIPELINE_CONFIG };
 
 // Run if called directly
-if (require.main === module) {
-  runPipelineScraper().catch(console.error);
+if (require.main === module && process.argv.includes('--rescore')) {
+  rescorePipeline().catch(console.error);
+} else if (require.main === module) {
+  runPipelineScraper({
+    resume: process.argv.includes('--resume'),
+    retryFailed: process.argv.includes('--retry-failed')
+  }).catch(console.error);
 }
@@ -0,0 +1,73 @@
+// Deal calculator panel - ARV, repairs and maximum allowable offer from the
+// /deal endpoints (lib/deal-analyzer.js), worked out on the server the first
+// time the panel opens; type into any input and recalculate. The values the
+// server used are shown as placeholders, so only what was typed is sent as an
+// override and a cleared input goes back to the estimate. Used by index.html
+// and pipeline.html, which both keep the login token in `authToken`.
+
+// scale: the input shows value × scale (70 for an arvPercent of 0.7)
+const DEAL_INPUTS = [
+    { key: 'arv', label: 'ARV $' },
+    { key: 'repairs', label: 'Repairs $' },
+    { key: 'arvPercent', label: '% of ARV', scale: 100 },
+    { key: 'wholesaleFee', label: 'Wholesale Fee $' },
+    { key: 'holdingMonths', label: 'Holding Months' },
+    { key: 'holdingCostMonthly', label: 'Holding $/mo' }
+];
+
+function renderDealPanel(url) {
+    return `
+        <details class="deal-panel" data-url="${url}" ontoggle="if (this.open && !this.dataset.loaded) runDeal(this)">
+            <summary>🧮 Deal Calculator</summary>
+            <div class="deal-body">
+                <div class="deal-inputs">
+                    ${DEAL_INPUTS.map(i => `<label>${i.label}<input type="number" min="0" step="any" name="${i.key}"></label>`).join('')}
+                </div>
+                <button class="deal-recalc" onclick="runDeal(this.closest('.deal-panel'))">Recalculate</button>
+                <div class="deal-results">Loading...</div>
+            </div>
+        </details>
+    `;
+}
+
+async function runDeal(panel) {
+    const results = panel.querySelector('.deal-results');
+    const params = new URLSearchParams();
+    DEAL_INPUTS.forEach(i => {
+        const value = panel.querySelector(`input[name="${i.key}"]`).value;
+        if (value !== '') params.set(i.key, String(Number(value) / (i.scale || 1)));
+    });
+    try {
+        const response = await fetch(`${panel.dataset.url}?${params}`, { headers: { 'X-Auth-Token': authToken } });
+        const deal = await response.json();
+        if (!response.ok) {
+            results.textContent = deal.details ? deal.details.join('; ') : deal.error || 'Could not analyze this deal';
+            return;
+        }
+        panel.dataset.loaded = 'true';
+        const inputs = { arv: deal.arv, repairs: deal.repairs.total, ...deal.formula };
+        DEAL_INPUTS.forEach(i => {
+            const value = inputs[i.key];
+            panel.querySelector(`input[name="${i.key}"]`).placeholder = value === undefined ? '' : Math.round(value * (i.scale || 1) * 100) / 100;
+        });
+        const money = (n) => (n < 0 ? '-' : '') + '$' + Math.round(Math.abs(n)).toLocaleString();
+        const row = (label, value, cls = '') => `<div class="deal-row ${cls}"><span>${label}</span><span>${value}</span></div>`;
+        const verdicts = {
+            'equity-deal': `✅ Clears the estimated debt by ${money(deal.spreadOverDebt)}`,
+            'short-sale': `⚠️ ${money(-deal.spreadOverDebt)} under the estimated debt - short sale territory`,
+            'no-deal': '❌ The numbers don\'t leave room for an offer',
+            'unknown-debt': 'Debt unknown'
+        };
+        const repairLines = deal.repairs.lines.map(l => l.item + ': ' + money(l.amount)).join('\n').replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+        results.innerHTML =
+            row('ARV', `${money(deal.arv)}${deal.arvSource === 'override' ? '' : ` (${money(deal.arvRange.low)} – ${money(deal.arvRange.high)})`}`) +
+            row(`× ${Math.round(deal.formula.arvPercent * 100)}%`, money(deal.arv * deal.formula.arvPercent)) +
+            `<div title="${repairLines}">${row('− Repairs', money(deal.repairs.total))}</div>` +
+            row('− Wholesale fee', money(deal.formula.wholesaleFee)) +
+            row('− Holding costs', money(deal.holdingCosts)) +
+            row('Max Offer (MAO)', money(deal.mao), 'mao') +
+            `<div class="deal-note">${verdicts[deal.verdict]}${deal.equityConfidence ? ` · ${deal.equityConfidence} confidence value` : ''}</div>`;
+    } catch (e) {
+        results.textContent = 'Error analyzing deal';
+    }
+}
@@ -0,0 +1,118 @@
+// Regression check for the scraper parsers, run against recorded pages (lib/replay.js)
+// so a parsing change can be tested offline.
+//
+// Each directory under fixtures/regression/ holds one page:
+//   responses/   the recorded traffic (SCRAPER_MODE=record SCRAPER_FIXTURES=<that dir>)
+//   check.json   { parser, url, state, expected }: the page to load and what it parses to
+//
+// Parsers:
+//   montco-case     extractCaseDetails (defendant addresses, docket table, parcel lines)
+//   civilview-sale  extractSaleDetails, then parseAddress on the sale's address
+//   assessment      extractPropertyData
+//
+//   npm run replay-check                 exit 1 if any page parses differently
+//   npm run replay-check -- --update     accept the current output as expected
+
+const puppeteer = require('puppeteer');
+const fs = require('fs').promises;
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const CONFIG = require('./config');
+const replay = require('./lib/replay');
+const { extractCaseDetails } = require('./scrapers/montco-courts');
+const { extractSaleDetails, parseAddress } = require('./scrapers/civilview');
+const { extractPropertyData } = require('./scrapers/property-enrichment');
+
+const REGRESSION_DIR = path.join(__dirname, 'fixtures', 'regression');
+
+const PARSERS = {
+  'montco-case': (page) => extractCaseDetails(page),
+  'civilview-sale': async (page, check) => {
+    const details = await extractSaleDetails(page);
+    return { details, address: parseAddress(details.address, check.state) };
+  },
+  'assessment': (page) => extractPropertyData(page)
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Fields whose values differ, as { path, expected, actual }, for the failure report.
+// Objects are compared field by field; arrays and values as a whole.
+function diffFields(expected, actual, prefix = '') {
+  if (!isPlainObject(expected) || !isPlainObject(actual)) {
+    return isDeepStrictEqual(expected, actual) ? [] : [{ path: prefix || '(output)', expected, actual }];
+  }
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  return [...keys].flatMap(key => diffFields(expected[key], actual[key], prefix ? `${prefix}.${key}` : key));
+}
+
+async function runChecks(options = {}) {
+  const names = (await fs.readdir(REGRESSION_DIR, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  CONFIG.replay.mode = 'replay';
+  const browser = await puppeteer.launch({
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+  });
+
+  const results = { passed: 0, failed: 0, updated: 0 };
+  try {
+    for (const name of names) {
+      const dir = path.join(REGRESSION_DIR, name);
+      const checkFile = path.join(dir, 'check.json');
+      const check = JSON.parse(await fs.readFile(checkFile, 'utf8'));
+      const parser = PARSERS[check.parser];
+      if (!parser) throw new Error(`${name}: unknown parser "${check.parser}"`);
+
+      // The stand-in reads responses from the fixture dir on every request
+      CONFIG.replay.fixtureDir = dir;
+      const page = await browser.newPage();
+      let actual;
+      try {
+        await replay.preparePage(page, `replay-check ${name}`);
+        await page.goto(check.url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+        actual = await parser(page, check);
+      } finally {
+        await page.close();
+      }
+
+      if (options.update) {
+        await fs.writeFile(checkFile, JSON.stringify({ ...check, expected: actual }, null, 2) + '\n');
+        console.log(`📝 ${name}: expected output updated`);
+        results.updated++;
+      } else if (isDeepStrictEqual(check.expected, actual)) {
+        console.log(`✅ ${name}`);
+        results.passed++;
+      } else {
+        console.log(`❌ ${name}: ${check.parser} output changed`);
+        for (const diff of diffFields(check.expected, actual)) {
+          console.log(`   ${diff.path}`);
+          console.log(`     expected ${JSON.stringify(diff.expected)}`);
+          console.log(`     actual   ${JSON.stringify(diff.actual)}`);
+        }
+        results.failed++;
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+  return results;
+}
+
+module.exports = { runChecks, PARSERS };
+
+// Run if called directly
+if (require.main === module) {
+  runChecks({ update: process.argv.includes('--update') })
+    .then(({ passed, failed, updated }) => {
+      console.log(`\n${passed} passed, ${failed} failed${updated ? `, ${updated} updated` : ''}`);
+      process.exit(failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -2,17 +2,42 @@ const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
 const CONFIG = require('./config');
-const { scrapeCounty } = require('./scrapers/civilview');
+const { getEnabledAdapters, runAdapter, runEnrichment } = require('./scrapers/registry');
+const { recordRun, getCurrent } = require('./lib/history-store');
+const { getFailedKeys } = require('./lib/failure-ledger');
+const { refreshOutcomes } = require('./lib/outcome-tracker');
+const { applySaleScores } = require('./lib/sale-scoring');
+const { normalizeServicer } = require('./lib/servicers');
 
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-async function runScraper() {
+// Properties from the last run, so unchanged listings can skip their detail page
+async function loadPreviousProperties(outputPath) {
+  try {
+    const data = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+    return data.properties || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// options.full re-scrapes every detail page instead of only new/changed listings;
+// options.retryFailed only re-opens the detail pages in the failure ledger
+async function runScraper(options = {}) {
+  const { full = false, retryFailed = false } = options;
   console.log('🏠 Foreclosure Property Scraper');
   console.log('================================');
   console.log(`Started at: ${new Date().toLocaleString()}`);
+  console.log(`Mode: ${retryFailed ? 'retry failed only' : full ? 'full' : 'incremental'}`);
   
   await fs.mkdir(CONFIG.outputDir, { recursive: true });
   
+  const outputPath = path.join(CONFIG.outputDir, CONFIG.outputFile);
+  const previous = full && !retryFailed ? [] : await loadPreviousProperties(outputPath);
+  const retryOnly = retryFailed ? await getFailedKeys('properties') : null;
+  if (retryOnly) console.log(`Retrying ${retryOnly.size} failed properties`);
+  
   const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH || null;
   console.log(`Using Chrome at: ${executablePath || 'Puppeteer default'}`);
   
@@ -30,36 +55,60 @@ async function runScraper() {
   });
   
   let allProperties = [];
-  const sourceCounts = {};
+  const sources = {};
   
   try {
-    for (let i = 0; i < CONFIG.counties.length; i++) {
-      const county = CONFIG.counties[i];
+    const adapters = getEnabledAdapters('sheriff-sale');
+    
+    for (let i = 0; i < adapters.length; i++) {
+      const adapter = adapters[i];
       
       if (i > 0) {
-        console.log(`\n⏸ Pausing ${CONFIG.countyPause / 1000}s before next county...`);
+        console.log(`\n⏸ Pausing ${CONFIG.countyPause / 1000}s before next source...`);
         await delay(CONFIG.countyPause);
       }
       
-      const properties = await scrapeCounty(browser, county);
-      allProperties = allProperties.concat(properties);
-      sourceCounts[county.name] = properties.length;
+      const { items, report } = await runAdapter(adapter, { browser, previous, full, retryOnly });
+      allProperties = allProperties.concat(items.map(p => ({ ...p, sourceId: adapter.id, servicer: normalizeServicer(p.plaintiff) })));
+      sources[adapter.id] = report;
     }
     
+    // Assessed value, owner and occupancy from each county's enrichment source
+    const enrichment = await runEnrichment(allProperties, { browser });
+    allProperties = enrichment.items;
+    Object.assign(sources, enrichment.reports);
+    
+    // Lead score each listing (lib/sale-scoring.js); pipeline cases supply assessed values
+    applySaleScores(allProperties, await getCurrent('pipeline'));
+    
     allProperties.sort((a, b) => a.debtAmount - b.debtAmount);
     
-    const outputPath = path.join(CONFIG.outputDir, CONFIG.outputFile);
+    // Keep history and compute what changed since the last run. If a sale source
+    // failed we didn't see all listings, so don't treat missing ones as dropped.
+    const { run } = await recordRun('properties', allProperties, {
+      keyField: 'propertyId',
+      partial: retryFailed || allProperties.length === 0 || Object.values(sources).some(s => s.kind === 'sheriff-sale' && s.status !== 'ok'),
+      carryForward: ['propertyEnrichment']
+    });
+    const changed = run.changeSummary;
+    console.log(`\n🗄️ Changes: ${changed.newItems} new, ${changed.droppedItems} dropped, ${changed.statusChanges} status changes`);
+    
     await fs.writeFile(outputPath, JSON.stringify({
       lastUpdated: new Date().toISOString(),
+      lastRunId: run.runId,
       totalProperties: allProperties.length,
-      sources: sourceCounts,
+      sources,
       properties: allProperties
     }, null, 2));
     
     console.log(`\n💾 Saved ${allProperties.length} properties`);
+    
+    // New listings and sales are outcomes for the pipeline cases behind them
+    await refreshOutcomes().catch(error => console.log(`⚠️ Outcome tracking failed: ${error.message}`));
     console.log('\n📊 Summary:');
-    Object.entries(sourceCounts).forEach(([county, count]) => {
-      console.log(`   ${county}: ${count} properties`);
+    Object.values(sources).forEach(source => {
+      const status = source.status === 'ok' ? '' : ` (${source.status}: ${source.error})`;
+      console.log(`   ${source.name}: ${source.count} properties${status}`);
     });
     
   } catch (error) {
@@ -75,5 +124,8 @@ async function runScraper() {
 module.exports = { runScraper, CONFIG };
 
 if (require.main === module) {
-  runScraper().catch(console.error);
+  runScraper({
+    full: process.argv.includes('--full'),
+    retryFailed: process.argv.includes('--retry-failed')
+  }).catch(console.error);
 }
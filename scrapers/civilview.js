@@ -1,6 +1,9 @@
 // CivilView scraper - works for any county using the CivilView platform
 
 const CONFIG = require('../config');
+const replay = require('../lib/replay');
+const { withRetry, assertNotBlocked, ScrapeError } = require('../lib/retry');
+const { recordFailure, clearFailure } = require('../lib/failure-ledger');
 
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -123,20 +126,99 @@ function parseAddress(fullAddress, defaultState = 'NJ') {
   return { address, city, state, zipCode };
 }
 
-// Main scraper function for a single county
-async function scrapeCounty(browser, county) {
+// Read a loaded SaleDetails page. Kept apart from scrapeCounty so
+// replay-check.js can run it against recorded pages.
+async function extractSaleDetails(page) {
+  return page.evaluate(() => {
+    const getField = (label) => {
+      const items = document.querySelectorAll('.sale-detail-item');
+      for (const item of items) {
+        const l = item.querySelector('.sale-detail-label');
+        const v = item.querySelector('.sale-detail-value');
+        if (l && v && l.textContent.toLowerCase().includes(label.toLowerCase())) {
+          return v.textContent.trim().replace(/\s+/g, ' ');
+        }
+      }
+      return '';
+    };
+  
+    const getStatusHistory = () => {
+      const history = [];
+      document.querySelectorAll('table').forEach(table => {
+        const header = table.querySelector('tr');
+        if (header?.textContent.includes('Status') && header?.textContent.includes('Date')) {
+          table.querySelectorAll('tr').forEach((row, i) => {
+            if (i > 0) {
+              const cells = row.querySelectorAll('td');
+              if (cells.length >= 2) {
+                history.push({ status: cells[0].textContent.trim(), date: cells[1].textContent.trim() });
+              }
+            }
+          });
+        }
+      });
+      return history;
+    };
+  
+    const statusHistory = getStatusHistory();
+  
+    return {
+      sheriff: getField('sheriff'),
+      courtCase: getField('court case'),
+      salesDate: getField('sales date'),
+      plaintiff: getField('plaintiff'),
+      defendant: getField('defendant'),
+      address: getField('address'),
+      debt: getField('debt amount') || getField('approx') || getField('upset'),
+      attorney: getField('attorney'),
+      attorneyPhone: getField('attorney phone'),
+      parcel: getField('parcel'),
+      township: getField('township'),
+      description: getField('description'),
+      status: statusHistory.length > 0 ? statusHistory[statusHistory.length - 1].status : 'Scheduled',
+      statusHistory
+    };
+  });
+}
+
+// A listing is unchanged if the table shows the same sale date (and status, when
+// the table has a status column) as last run, and last run got the full detail page
+function findUnchanged(listing, previousBySheriff) {
+  const previous = previousBySheriff.get(listing.sheriff);
+  if (!previous) return null;
+  if (previous.status === 'Unknown' || !previous.courtCase) return null; // last run fell back to listing data
+  if ((previous.salesDate || '') !== (listing.salesDate || '')) return null;
+  if (listing.status && previous.status !== listing.status) return null;
+  return previous;
+}
+
+// Main scraper function for a single county.
+// By default only opens detail pages for new or changed listings, carrying the
+// rest forward from `previous`; pass full: true to re-open every detail page,
+// or retryOnly (a Set of propertyIds) to re-open just those.
+async function scrapeCounty(browser, county, options = {}) {
+  const { previous = [], full = false, retryOnly = null } = options;
+  const sourceId = `civilview-${county.name.toLowerCase()}`;
   console.log(`\n🔍 Scraping ${county.name} County, ${county.state}...`);
   const properties = [];
+  let listingsLoaded = false;
+  const previousBySheriff = new Map(
+    previous.filter(p => p.county === county.name && p.sheriffNumber).map(p => [p.sheriffNumber, p])
+  );
   const page = await browser.newPage();
   
   try {
+    await replay.preparePage(page, sourceId);
     await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
     await page.setViewport({ width: 1920, height: 1080 });
     
     // Load search page
     console.log('  Loading listings...');
-    await page.goto(county.searchUrl, { waitUntil: 'networkidle2', timeout: 90000 });
-    await page.waitForSelector('a[href*="SaleDetails"]', { timeout: 30000 });
+    await withRetry(async () => {
+      const response = await page.goto(county.searchUrl, { waitUntil: 'networkidle2', timeout: 90000 });
+      await assertNotBlocked(response, page);
+      await page.waitForSelector('a[href*="SaleDetails"]', { timeout: 30000 });
+    }, { label: `${county.name} listings` });
     await delay(3000);
     
     // Scroll to load all
@@ -173,7 +255,8 @@ async function scrapeCounty(browser, county) {
         salesDate: headers.findIndex(h => h.includes('sales') && h.includes('date')),
         plaintiff: headers.findIndex(h => h.includes('plaintiff')),
         defendant: headers.findIndex(h => h.includes('defendant')),
-        address: headers.findIndex(h => h.includes('address'))
+        address: headers.findIndex(h => h.includes('address')),
+        status: headers.findIndex(h => h.includes('status'))
       };
       
       for (let i = 1; i < rows.length; i++) {
@@ -187,7 +270,8 @@ async function scrapeCounty(browser, county) {
             salesDate: col.salesDate >= 0 ? cells[col.salesDate]?.textContent?.trim() : '',
             plaintiff: col.plaintiff >= 0 ? cells[col.plaintiff]?.textContent?.trim() : '',
             defendant: col.defendant >= 0 ? cells[col.defendant]?.textContent?.trim() : '',
-            address: col.address >= 0 ? cells[col.address]?.textContent?.trim() : ''
+            address: col.address >= 0 ? cells[col.address]?.textContent?.trim() : '',
+            status: col.status >= 0 ? cells[col.status]?.textContent?.trim() : ''
           });
         }
       }
@@ -195,77 +279,63 @@ async function scrapeCounty(browser, county) {
     });
     
     console.log(`  Found ${listings.length} properties`);
+    listingsLoaded = true;
+    
+    let detailPagesOpened = 0;
+    let carriedForward = 0;
     
     // Scrape each detail page
     for (let i = 0; i < listings.length; i++) {
-      if (i > 0 && i % CONFIG.batchSize === 0) {
+      const listing = listings[i];
+      const propertyId = `CV-${county.name}-${listing.sheriff || i}`;
+      
+      // Retry-failed mode: everything not in the ledger stays as it was
+      if (retryOnly && !retryOnly.has(propertyId)) {
+        const kept = previousBySheriff.get(listing.sheriff);
+        if (kept) {
+          properties.push(kept);
+          carriedForward++;
+        }
+        continue;
+      }
+      
+      // Incremental mode: reuse last run's detail data for unchanged listings
+      const unchanged = full || retryOnly ? null : findUnchanged(listing, previousBySheriff);
+      if (unchanged) {
+        properties.push({
+          ...unchanged,
+          plaintiff: listing.plaintiff || unchanged.plaintiff,
+          defendant: listing.defendant || unchanged.defendant,
+          detailUrl: listing.url
+        });
+        carriedForward++;
+        continue;
+      }
+      
+      if (detailPagesOpened > 0 && detailPagesOpened % CONFIG.batchSize === 0) {
         console.log(`  ⏸ Batch pause...`);
         await delay(CONFIG.batchPause);
       }
-      
-      const listing = listings[i];
+      detailPagesOpened++;
       
       try {
-        await page.goto(listing.url, { waitUntil: 'networkidle2', timeout: CONFIG.pageTimeout });
-        await delay(500);
+        const data = await withRetry(async () => {
+          const response = await page.goto(listing.url, { waitUntil: 'networkidle2', timeout: CONFIG.pageTimeout });
+          await assertNotBlocked(response, page);
+          await delay(500);
         
-        // Extract detail page data
-        const data = await page.evaluate(() => {
-          const getField = (label) => {
-            const items = document.querySelectorAll('.sale-detail-item');
-            for (const item of items) {
-              const l = item.querySelector('.sale-detail-label');
-              const v = item.querySelector('.sale-detail-value');
-              if (l && v && l.textContent.toLowerCase().includes(label.toLowerCase())) {
-                return v.textContent.trim().replace(/\s+/g, ' ');
-              }
-            }
-            return '';
-          };
-          
-          const getStatusHistory = () => {
-            const history = [];
-            document.querySelectorAll('table').forEach(table => {
-              const header = table.querySelector('tr');
-              if (header?.textContent.includes('Status') && header?.textContent.includes('Date')) {
-                table.querySelectorAll('tr').forEach((row, i) => {
-                  if (i > 0) {
-                    const cells = row.querySelectorAll('td');
-                    if (cells.length >= 2) {
-                      history.push({ status: cells[0].textContent.trim(), date: cells[1].textContent.trim() });
-                    }
-                  }
-                });
-              }
-            });
-            return history;
-          };
-          
-          const statusHistory = getStatusHistory();
-          
-          return {
-            sheriff: getField('sheriff'),
-            courtCase: getField('court case'),
-            salesDate: getField('sales date'),
-            plaintiff: getField('plaintiff'),
-            defendant: getField('defendant'),
-            address: getField('address'),
-            debt: getField('debt amount') || getField('approx') || getField('upset'),
-            attorney: getField('attorney'),
-            attorneyPhone: getField('attorney phone'),
-            parcel: getField('parcel'),
-            township: getField('township'),
-            description: getField('description'),
-            status: statusHistory.length > 0 ? statusHistory[statusHistory.length - 1].status : 'Scheduled',
-            statusHistory
-          };
-        });
+          const details = await extractSaleDetails(page);
+          if (!details.sheriff && !details.address) {
+            throw new ScrapeError('Sale details not found on page', 'selector-missing');
+          }
+          return details;
+        }, { label: `Sheriff # ${listing.sheriff}` });
         
         const addr = parseAddress(data.address || listing.address, county.state);
         
         properties.push({
           source: 'CivilView',
-          propertyId: `CV-${county.name}-${data.sheriff || listing.sheriff || i}`,
+          propertyId: data.sheriff ? `CV-${county.name}-${data.sheriff}` : propertyId,
           sheriffNumber: data.sheriff || listing.sheriff,
           courtCase: data.courtCase,
           salesDate: data.salesDate || listing.salesDate,
@@ -287,15 +357,22 @@ async function scrapeCounty(browser, county) {
           detailUrl: listing.url
         });
         
+        await clearFailure('properties', propertyId);
+        
         const debt = parseDebtAmount(data.debt);
         console.log(`  ${i + 1}/${listings.length} ✓ ${addr.address || 'Property'} - ${debt > 0 ? '$' + debt.toLocaleString() : 'N/A'}`);
         
       } catch (err) {
-        // Use listing data as fallback
+        // Use listing data as fallback, and note the failure so it can be retried
         const addr = parseAddress(listing.address, county.state);
+        await recordFailure('properties', {
+          key: propertyId,
+          label: `${addr.address || listing.address || listing.sheriff} (${county.name})`,
+          source: sourceId
+        }, err);
         properties.push({
           source: 'CivilView',
-          propertyId: `CV-${county.name}-${listing.sheriff || i}`,
+          propertyId,
           sheriffNumber: listing.sheriff,
           courtCase: '',
           salesDate: listing.salesDate,
@@ -316,13 +393,21 @@ async function scrapeCounty(browser, county) {
           township: listing.township || addr.city,
           detailUrl: listing.url
         });
-        console.log(`  ${i + 1}/${listings.length} ~ ${addr.address || listing.sheriff} (fallback)`);
+        console.log(`  ${i + 1}/${listings.length} ~ ${addr.address || listing.sheriff} (fallback: ${err.type || 'error'})`);
       }
     }
     
+    if (!full) {
+      console.log(`  ♻️ ${carriedForward} unchanged (carried forward), ${detailPagesOpened} detail pages opened`);
+    }
+    
   } catch (error) {
     console.error(`  Error: ${error.message}`);
+    // Without the listing table we know nothing about this county; fail the source
+    // so the run is treated as partial instead of dropping every listing
+    if (!listingsLoaded) throw error;
   } finally {
+    await replay.settle();
     await page.close();
   }
   
@@ -330,4 +415,12 @@ async function scrapeCounty(browser, county) {
   return properties;
 }
 
-module.exports = { scrapeCounty };
+// One sheriff-sale adapter per CivilView county in config
+const adapters = CONFIG.counties.map(county => ({
+  id: `civilview-${county.name.toLowerCase()}`,
+  name: `CivilView - ${county.name} County, ${county.state}`,
+  kind: 'sheriff-sale',
+  run: ({ browser, previous, full, retryOnly }) => scrapeCounty(browser, county, { previous, full, retryOnly })
+}));
+
+module.exports = { scrapeCounty, parseAddress, extractSaleDetails, adapters };
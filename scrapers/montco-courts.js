@@ -1,6 +1,15 @@
 // Montgomery County Courts scraper - WAIT FOR FULL PAGE LOAD
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
+const replay = require('../lib/replay');
+const { createHostLimiter } = require('../lib/rate-limiter');
+const { withRetry, classifyError, assertNotBlocked, ScrapeError } = require('../lib/retry');
+const { recordFailure, clearFailure } = require('../lib/failure-ledger');
+const { saveDocket } = require('../lib/docket-store');
+const { classifyDocket } = require('../lib/docket-classifier');
+const { parcelFromDocket } = require('../lib/parcel-resolver');
+const { detectEstate } = require('../lib/estate-detection');
+const { DEFAULT_RULES, loadScoringRules, findBand, gradeFor } = require('../lib/scoring-rules');
 
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -23,10 +32,10 @@ const MONTCO_TOWNS = [
 ];
 
 const CONFIG = {
-  requestDelay: 1200,        // Slightly slower to be safe with more cases
+  concurrency: 3,            // Cases scraped in parallel, one browser per worker
+  maxRequestsPerMinute: 30,  // Ceiling on page loads against the court site, across all workers
   pageLoadWait: 3000,        // Wait for dynamic content
-  batchSize: 15,             // Restart browser every 15 cases
-  batchPause: 4000,          // Pause between batches
+  batchSize: 15,             // Restart a worker's browser every 15 cases
   maxCasesToProcess: 0,      // 0 = no limit, process ALL cases
   testModeLimit: 10,         // When test mode enabled, only process this many
   // Date ranges in MONTHS (calculated dynamically from today)
@@ -35,7 +44,13 @@ const CONFIG = {
   sweetSpotMinMonths: 9,     // Sweet spot starts at 9 months
   sweetSpotMaxMonths: 18,    // Sweet spot ends at 18 months
   searchUrl: 'https://courtsapp.montcopa.org/psi/v/search/case?fromAdv=1',
-  csvPath: './data/montco-cases.csv'
+  csvPath: './data/montco-cases.csv',
+  // Where the case list comes from: 'auto' (court search, falling back to the
+  // uploaded CSV), 'search' (court search only) or 'csv' (uploaded CSV only)
+  caseSource: 'auto',
+  caseType: 'Mortgage Foreclosure', // Matches "Complaint In Mortgage Foreclosure"
+  discoveryWindowDays: 30,   // Search the commenced-date range one window at a time
+  discoveryMaxPages: 40      // Result pages to follow per window
 };
 
 async function launchBrowser() {
@@ -101,233 +116,133 @@ function parseDate(dateStr) {
   return m ? `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}` : null;
 }
 
-function calculateScore(c) {
+function calculateScore(c, rules) {
   // Legacy function - kept for compatibility
-  return calculateEnhancedScore(c);
+  return calculateEnhancedScore(c, rules);
 }
 
-function calculateEnhancedScore(c) {
+// Weights, bands and grade cutoffs come from the scoring rules (lib/scoring-rules.js).
+// Estate / heir cases go to calculateProbateScore instead.
+function calculateEnhancedScore(c, rules = DEFAULT_RULES) {
+  const estate = detectEstate(c);
+  if (estate.isEstate) return calculateProbateScore(c, rules, estate);
+  
   let score = 0;
   const factors = [];
-  const docket = c.docket || {};
-  const entries = docket.entries || 0;
-  const docketText = (docket.allText || '').toUpperCase();
-  const docketTypes = (docket.allTypes || '').toUpperCase();
-  const daysSinceLastFiling = docket.daysSinceLastFiling || 0;
+  const signals = rules.signals;
+  // Docket signals come from the classified docket (lib/docket-classifier.js)
+  const ds = c.docketSummary || {};
+  const entries = ds.entries || 0;
+  const daysSinceLastFiling = ds.daysSinceLastFiling || 0;
+  
+  const addBand = (band, n) => {
+    if (!band) return;
+    score += band.points;
+    factors.push({ text: band.text.replace('{n}', n), impact: band.points });
+  };
+  const addSignal = (when, key, text) => {
+    if (!when) return;
+    score += signals[key];
+    factors.push({ text, impact: signals[key] });
+  };
   
   // ============================================
-  // 1️⃣ CASE AGE SCORE (MAX 25 points)
+  // 1️⃣ CASE AGE SCORE
   // ============================================
-  const months = c.monthsOpen || Math.round((c.daysOpen || 0) / 30);
   const days = c.daysOpen || 0;
-  
-  if (days < 120) {
-    factors.push({ text: '⏱️ Too early (<4 months) - owner likely in denial', impact: 0 });
-  } else if (days >= 120 && days < 180) {
-    score += 5;
-    factors.push({ text: '⏱️ Early stage (4-6 months)', impact: +5 });
-  } else if (days >= 180 && days < 270) {
-    score += 12;
-    factors.push({ text: '⏱️ Building pressure (6-9 months)', impact: +12 });
-  } else if (days >= 270 && days <= 540) {
-    score += 25;
-    factors.push({ text: '🎯 SWEET SPOT (9-18 months) - maximum pressure', impact: +25 });
-  } else if (days > 540 && days <= 720) {
-    score += 18;
-    factors.push({ text: '⏱️ Late stage (18-24 months)', impact: +18 });
-  } else if (days > 720) {
-    score += 10;
-    factors.push({ text: '⏱️ Very old case (>24 months) - may be zombie', impact: +10 });
-  }
+  addBand(findBand(rules.caseAge, days, 'maxDays'), days);
   
   // ============================================
-  // 2️⃣ DOCKET ACTIVITY INTENSITY (MAX 20 points)
+  // 2️⃣ DOCKET ACTIVITY INTENSITY
   // ============================================
-  if (entries <= 4) {
-    score += 2;
-    factors.push({ text: `📋 Low activity (${entries} entries)`, impact: +2 });
-  } else if (entries >= 5 && entries <= 8) {
-    score += 8;
-    factors.push({ text: `📋 Moderate activity (${entries} entries)`, impact: +8 });
-  } else if (entries >= 9 && entries <= 14) {
-    score += 14;
-    factors.push({ text: `📋 High activity (${entries} entries) - decision fatigue`, impact: +14 });
-  } else if (entries >= 15) {
-    score += 20;
-    factors.push({ text: `📋 Very high activity (${entries} entries) - exhaustion likely`, impact: +20 });
-  }
+  addBand(findBand(rules.activity, entries, 'maxEntries'), entries);
   
   // ============================================
   // 3️⃣ DELAY & CONTINUANCE SIGNALS (with diminishing returns)
   // ============================================
-  const continuances = docket.continuanceCount || 0;
+  const continuances = ds.continuanceCount || 0;
   if (continuances > 0) {
-    // Diminishing returns: 1-3: +5 each, 4-6: +3 each, >6: +1 each
     let delayPoints = 0;
     for (let i = 1; i <= continuances; i++) {
-      if (i <= 3) delayPoints += 5;
-      else if (i <= 6) delayPoints += 3;
-      else delayPoints += 1;
+      delayPoints += findBand(rules.continuances.tiers, i, 'upTo')?.pointsEach || 0;
     }
-    delayPoints = Math.min(25, delayPoints); // Cap at 25
+    delayPoints = Math.min(rules.continuances.cap, delayPoints);
     score += delayPoints;
     factors.push({ text: `🔄 ${continuances} continuance(s) - mounting costs & fatigue`, impact: +delayPoints });
   }
   
   // ============================================
-  // 4️⃣ RESISTANCE vs CAPITULATION (-25 to +20)
+  // 4️⃣ RESISTANCE vs CAPITULATION
   // ============================================
   
   // Track if defendant is actively fighting (for "false hope" check)
-  let activeFighting = false;
+  const activeFighting = !!(ds.hasNewMatter || ds.hasPreliminaryObjections || ds.hasOpposition ||
+                            ds.hasDefendantSummaryJudgmentMotion || ds.hasCounterclaim);
   
   // NEGATIVE: Still fighting
-  if (docketTypes.includes('ANSWER') && docketText.includes('NEW MATTER')) {
-    score -= 5;
-    activeFighting = true;
-    factors.push({ text: '⚔️ Answer & New Matter filed - defendant fighting', impact: -5 });
-  }
-  if (docketTypes.includes('PRELIMINARY OBJECTIONS') || docketText.includes('PRELIMINARY OBJECTIONS')) {
-    score -= 5;
-    activeFighting = true;
-    factors.push({ text: '⚔️ Preliminary Objections - active resistance', impact: -5 });
-  }
-  if (docketText.includes('OBJECTION') && docketText.includes('OPPOSITION')) {
-    score -= 5;
-    activeFighting = true;
-    factors.push({ text: '⚔️ Objection/Opposition filed', impact: -5 });
-  }
-  if (docketText.includes('MOTION FOR SUMMARY JUDGMENT') && 
-      (docketText.includes('DEFENDANT') || (docketText.includes('BY ') && !docketText.includes('BY PLAINTIFF')))) {
-    score -= 10;
-    activeFighting = true;
-    factors.push({ text: '⚔️ Defendant filed Motion for Summary Judgment - believes they can win', impact: -10 });
-  }
-  if (docketText.includes('COUNTERCLAIM')) {
-    score -= 8;
-    activeFighting = true;
-    factors.push({ text: '⚔️ Counterclaim filed - aggressive defense', impact: -8 });
-  }
-  if (docketTypes.includes('REPLY TO NEW MATTER') || docketText.includes('REPLY TO NEW MATTER')) {
-    score -= 3;
-    factors.push({ text: '⚔️ Reply to New Matter - litigation ongoing', impact: -3 });
-  }
+  addSignal(ds.hasNewMatter, 'newMatter', '⚔️ Answer & New Matter filed - defendant fighting');
+  addSignal(ds.hasPreliminaryObjections, 'preliminaryObjections', '⚔️ Preliminary Objections - active resistance');
+  addSignal(ds.hasOpposition, 'opposition', '⚔️ Objection/Opposition filed');
+  addSignal(ds.hasDefendantSummaryJudgmentMotion, 'defendantSummaryJudgment', '⚔️ Defendant filed Motion for Summary Judgment - believes they can win');
+  addSignal(ds.hasCounterclaim, 'counterclaim', '⚔️ Counterclaim filed - aggressive defense');
+  addSignal(ds.hasReplyToNewMatter, 'replyToNewMatter', '⚔️ Reply to New Matter - litigation ongoing');
   
   // POSITIVE: Signs of capitulation
-  if (docketTypes.includes('PRAECIPE TO REINSTATE') || docketText.includes('PRAEC TO REINSTATE') || docketText.includes('PRAECIPE TO REINSTATE')) {
-    score += 5;
-    factors.push({ text: '📄 Praecipe to Reinstate - case reactivated after pause', impact: +5 });
-  }
-  if (docketText.includes('ALTERNATE SERVICE') || docketText.includes('MOTION FOR ALTERNATE SERVICE')) {
-    score += 5;
-    factors.push({ text: '📬 Motion for Alternate Service - hard to locate defendant', impact: +5 });
-  }
-  if (docketText.includes('NOT FOUND') || docketText.includes('FAILURE OF SERVICE')) {
-    score += 5;
-    factors.push({ text: '❓ Service issues - defendant may be avoiding', impact: +5 });
-  }
-  if (docketText.includes('WITHDRAW') && docketText.includes('COUNSEL')) {
-    score += 12;
-    factors.push({ text: '💰 Withdrawal of Counsel - financial distress signal!', impact: +12 });
-  }
-  if (docketText.includes('SUBSTITUTION OF COUNSEL')) {
-    score += 3;
-    factors.push({ text: '🔄 Substitution of Counsel - possible financial strain', impact: +3 });
-  }
+  addSignal(ds.hasPraecipeToReinstate, 'praecipeToReinstate', '📄 Praecipe to Reinstate - case reactivated after pause');
+  addSignal(ds.hasAlternateService, 'alternateService', '📬 Motion for Alternate Service - hard to locate defendant');
+  addSignal(ds.hasServiceFailure, 'serviceFailure', '❓ Service issues - defendant may be avoiding');
+  addSignal(ds.hasWithdrawalOfCounsel, 'withdrawalOfCounsel', '💰 Withdrawal of Counsel - financial distress signal!');
+  addSignal(ds.hasSubstitutionOfCounsel, 'substitutionOfCounsel', '🔄 Substitution of Counsel - possible financial strain');
   
   // ============================================
-  // 5️⃣ SETTLEMENT / DE-ESCALATION (MAX 15 points)
+  // 5️⃣ SETTLEMENT / DE-ESCALATION
   // ============================================
-  let hasSettlementSignal = false;
-  
-  if (docketText.includes('MATTER SETTLED') || docketText.includes('SETTLED')) {
-    score += 15;
-    hasSettlementSignal = true;
-    factors.push({ text: '🤝 Matter Settled notation - actively negotiating!', impact: +15 });
-  }
-  if (docketText.includes('STIPULATION') && !docketText.includes('DISMISSAL')) {
-    score += 10;
-    hasSettlementSignal = true;
-    factors.push({ text: '📝 Stipulation filed - parties negotiating', impact: +10 });
-  }
-  if (docketText.includes('STIPULATION') && docketText.includes('DISMISSAL')) {
-    score += 8;
-    hasSettlementSignal = true;
-    factors.push({ text: '📝 Stipulation of Dismissal - case may be resolving', impact: +8 });
-  }
+  addSignal(ds.isSettled, 'settled', '🤝 Matter Settled notation - actively negotiating!');
+  addSignal(ds.hasStipulation, 'stipulation', '📝 Stipulation filed - parties negotiating');
+  addSignal(ds.hasStipulationOfDismissal, 'stipulationOfDismissal', '📝 Stipulation of Dismissal - case may be resolving');
   
   // ============================================
   // 6️⃣ TRANSITION BONUSES (state changes matter!)
   // ============================================
   
   // Stay lifted after being stayed = case resuming, pressure back on
-  if ((docketText.includes('STAY IS LIFTED') || docketText.includes('STAY LIFTED')) && docket.isStayed) {
-    score += 12;
-    factors.push({ text: '▶️ Stay LIFTED after pause - pressure resuming!', impact: +12 });
-  } else if (docketText.includes('STAY IS LIFTED') || docketText.includes('STAY LIFTED')) {
-    score += 8;
-    factors.push({ text: '▶️ Stay Lifted - case resuming', impact: +8 });
+  if (ds.stayLiftedAfterStay) {
+    addSignal(true, 'stayLiftedAfterStay', '▶️ Stay LIFTED after pause - pressure resuming!');
+  } else {
+    addSignal(ds.stayLifted, 'stayLifted', '▶️ Stay Lifted - case resuming');
   }
   
-  // Silence after heavy activity = exhaustion (context-aware silence)
-  if (entries >= 8 && daysSinceLastFiling >= 90) {
-    score += 10;
-    factors.push({ text: '💤 Silence after heavy activity - likely exhausted', impact: +10 });
-  } else if (entries >= 5 && daysSinceLastFiling >= 60) {
-    score += 5;
-    factors.push({ text: '💤 Slowing down after activity', impact: +5 });
-  }
+  // Silence after activity = exhaustion (context-aware silence); first matching tier only
+  const silence = (rules.silence || []).find(s => entries >= s.minEntries && daysSinceLastFiling >= s.minDays);
+  addBand(silence, daysSinceLastFiling);
   
   // ============================================
   // 7️⃣ RECENT ACTIVITY PENALTY (decay function)
   // ============================================
-  if (daysSinceLastFiling > 0 && daysSinceLastFiling < 14) {
-    score -= 12;
-    factors.push({ text: '🔥 Very recent filing (<14 days) - actively litigating', impact: -12 });
-  } else if (daysSinceLastFiling >= 14 && daysSinceLastFiling < 30) {
-    score -= 8;
-    factors.push({ text: '🔥 Recent filing (14-30 days)', impact: -8 });
-  } else if (daysSinceLastFiling >= 30 && daysSinceLastFiling < 60) {
-    score -= 4;
-    factors.push({ text: '⏳ Activity 30-60 days ago', impact: -4 });
-  } else if (daysSinceLastFiling >= 60 && daysSinceLastFiling < 90) {
-    // Neutral - no penalty
-    factors.push({ text: '⏳ Activity 60-90 days ago', impact: 0 });
+  // Past the last band, older activity is handled by the silence bonus
+  if (daysSinceLastFiling > 0) {
+    addBand(findBand(rules.recency, daysSinceLastFiling, 'maxDays'), daysSinceLastFiling);
   }
-  // >90 days already handled in transition bonuses if high activity
   
   // ============================================
   // 8️⃣ "FALSE HOPE" DAMPENER
   // Early case + high activity + no adverse rulings = still believes they can win
   // ============================================
-  const hasAdverseRuling = docketText.includes('DENIED') || docketText.includes('OVERRULED') || 
-                           docketText.includes('MOTION GRANTED') && docketText.includes('PLAINTIFF');
-  
-  if (days < 360 && entries >= 6 && activeFighting && !hasAdverseRuling) {
-    score -= 8;
-    factors.push({ text: '⚠️ "False hope" - early fighter with no adverse rulings yet', impact: -8 });
+  const falseHope = rules.falseHope;
+  if (days <= falseHope.maxDaysOpen && entries >= falseHope.minEntries && activeFighting && !ds.hasAdverseRuling) {
+    score += falseHope.points;
+    factors.push({ text: '⚠️ "False hope" - early fighter with no adverse rulings yet', impact: falseHope.points });
   }
   
   // ============================================
   // 9️⃣ BANKRUPTCY CHECK (with decay)
   // ============================================
-  if (docket.hasBankruptcy || docketText.includes('BANKRUPTCY')) {
-    // Check if it's a DISCHARGE of bankruptcy (positive) vs active bankruptcy (negative)
-    if (docketText.includes('DISCHARGE') && docketText.includes('BANKRUPTCY')) {
-      score += 8;
-      factors.push({ text: '✅ Bankruptcy DISCHARGED - case can proceed!', impact: +8 });
+  if (ds.hasBankruptcy) {
+    // A DISCHARGE of bankruptcy is positive; an active bankruptcy decays with time since last filing
+    if (ds.hasBankruptcyDischarge) {
+      addSignal(true, 'bankruptcyDischarged', '✅ Bankruptcy DISCHARGED - case can proceed!');
     } else {
-      // Apply decay based on case age (rough proxy for BK timing)
-      if (daysSinceLastFiling < 90) {
-        score -= 25;
-        factors.push({ text: '🚫 Recent bankruptcy activity - case likely stayed', impact: -25 });
-      } else if (daysSinceLastFiling < 180) {
-        score -= 18;
-        factors.push({ text: '🚫 Bankruptcy (moderating) - still impacting case', impact: -18 });
-      } else {
-        score -= 10;
-        factors.push({ text: '⚠️ Bankruptcy noted - may be old/resolved', impact: -10 });
-      }
+      addBand(findBand(rules.bankruptcy, daysSinceLastFiling, 'maxDays'), daysSinceLastFiling);
     }
   }
   
@@ -335,34 +250,574 @@ function calculateEnhancedScore(c) {
   // 🔟 PROPERTY & DEFENDANT FACTORS
   // ============================================
   if (c.propertyAddress) {
-    score += 3;
-    factors.push({ text: '📍 Has property address', impact: +3 });
+    addSignal(true, 'hasAddress', '📍 Has property address');
   } else {
-    score -= 5;
-    factors.push({ text: '❓ No address found', impact: -5 });
+    addSignal(true, 'noAddress', '❓ No address found');
   }
   
   // Defendant type detection
   const defendant = (c.defendant || '').toUpperCase();
-  if (defendant.includes('LLC') || defendant.includes('INC') || defendant.includes('CORP') || 
-      defendant.includes('TRUST') || defendant.includes('ESTATE OF') || defendant.includes('BANK')) {
-    score -= 8;
-    factors.push({ text: '🏢 Entity defendant - less motivated', impact: -8 });
-  }
+  addSignal(defendant.includes('LLC') || defendant.includes('INC') || defendant.includes('CORP') || 
+            defendant.includes('TRUST') || defendant.includes('BANK') || defendant.includes('REAL ESTATE'),
+            'entityDefendant', '🏢 Entity defendant - less motivated');
   
   // ============================================
   // FINAL SCORE & GRADE
   // ============================================
   score = Math.max(0, Math.min(100, score));
   
-  let grade;
-  if (score >= 80) grade = 'A';      // Highly willing seller - call immediately
-  else if (score >= 65) grade = 'B'; // Strong candidate - direct mail + call
-  else if (score >= 50) grade = 'C'; // On the fence - nurture
-  else if (score >= 35) grade = 'D'; // Low probability - watchlist
-  else grade = 'F';                   // Not ready - ignore
+  // A: call immediately, B: direct mail + call, C: nurture, D: watchlist, F: ignore
+  const grade = gradeFor(score, rules);
+  
+  return { score, grade, factors, leadType: 'standard' };
+}
+
+// Probate leads: the owner has died, so litigation signals say little about the
+// people who will actually sell. Scored on the estate signals and case age, with
+// silence, bankruptcy and the address check carried over from the standard path.
+function calculateProbateScore(c, rules = DEFAULT_RULES, estate = detectEstate(c)) {
+  let score = 0;
+  const factors = [];
+  const probate = rules.probate;
+  const ds = c.docketSummary || {};
+  const entries = ds.entries || 0;
+  const daysSinceLastFiling = ds.daysSinceLastFiling || 0;
+  
+  const addBand = (band, n) => {
+    if (!band) return;
+    score += band.points;
+    factors.push({ text: band.text.replace('{n}', n), impact: band.points });
+  };
+  const add = (points, text) => {
+    score += points;
+    factors.push({ text, impact: points });
+  };
+  
+  // Estate signals from the defendant and the docket: the strongest one, plus a
+  // bonus when others back it up
+  const [strongest, ...others] = [...estate.signals].sort((a, b) => probate.signals[b.key] - probate.signals[a.key]);
+  if (strongest) add(probate.signals[strongest.key], strongest.text);
+  if (others.length > 0) add(probate.signals.corroborated, `✅ Also: ${others.map(sg => sg.text.replace(/^\S+ /, '')).join(', ').toLowerCase()}`);
+  
+  const days = c.daysOpen || 0;
+  addBand(findBand(probate.caseAge, days, 'maxDays'), days);
+  
+  // Someone is defending the estate's interest
+  if (ds.hasNewMatter || ds.hasPreliminaryObjections || ds.hasOpposition || ds.hasCounterclaim) {
+    add(probate.signals.contested, '⚔️ Estate is contesting the foreclosure');
+  }
+  
+  const silence = (rules.silence || []).find(s => entries >= s.minEntries && daysSinceLastFiling >= s.minDays);
+  addBand(silence, daysSinceLastFiling);
+  
+  if (ds.hasBankruptcy && !ds.hasBankruptcyDischarge) {
+    addBand(findBand(rules.bankruptcy, daysSinceLastFiling, 'maxDays'), daysSinceLastFiling);
+  }
+  
+  if (c.propertyAddress) add(rules.signals.hasAddress, '📍 Has property address');
+  else add(rules.signals.noAddress, '❓ No address found');
+  
+  score = Math.max(0, Math.min(100, score));
+  return { score, grade: gradeFor(score, rules), factors, leadType: 'probate' };
+}
+
+// ============================================
+// CASE DISCOVERY (advanced search)
+// ============================================
+
+const formatSearchDate = (d) =>
+  `${String(d.getMonth() + 1).padStart(2, '0')}/${String(d.getDate()).padStart(2, '0')}/${d.getFullYear()}`;
+
+// Commenced-date windows covering minMonthsOld..maxMonthsOld, oldest first
+function discoveryWindows(now = new Date()) {
+  const windows = [];
+  const end = new Date(now.getTime() - CONFIG.minMonthsOld * 30 * 86400000);
+  let from = new Date(now.getTime() - CONFIG.maxMonthsOld * 30 * 86400000);
+  while (from <= end) {
+    const to = new Date(Math.min(from.getTime() + (CONFIG.discoveryWindowDays - 1) * 86400000, end.getTime()));
+    windows.push({ fromDate: formatSearchDate(from), toDate: formatSearchDate(to) });
+    from = new Date(to.getTime() + 86400000);
+  }
+  return windows;
+}
+
+// Fill the advanced search form: case type, commenced date range, open cases only
+async function fillAdvancedSearch(page, criteria) {
+  const filled = await page.evaluate((criteria) => {
+    const labelOf = (el) => (
+      document.querySelector('label[for="' + el.id + '"]')?.textContent ||
+      el.closest('div')?.querySelector('label')?.textContent ||
+      el.previousElementSibling?.textContent ||
+      el.getAttribute('placeholder') || el.name || el.id || ''
+    ).toLowerCase();
+    const setValue = (el, value) => {
+      el.value = value;
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+    
+    const result = { caseType: false, fromDate: false, toDate: false, openOnly: false };
+    
+    for (const select of document.querySelectorAll('select')) {
+      const options = Array.from(select.options);
+      const caseType = options.find(o => o.textContent.toLowerCase().includes(criteria.caseType.toLowerCase()));
+      if (caseType && !result.caseType) {
+        setValue(select, caseType.value);
+        result.caseType = true;
+        continue;
+      }
+      if (labelOf(select).includes('status')) {
+        const open = options.find(o => /^\s*open\b/i.test(o.textContent));
+        if (open) {
+          setValue(select, open.value);
+          result.openOnly = true;
+        }
+      }
+    }
+    
+    const inputs = Array.from(document.querySelectorAll('input'))
+      .filter(i => !['hidden', 'checkbox', 'radio', 'submit', 'button'].includes(i.type));
+    const dateInputs = inputs.filter(i => /commenc|filed|date/.test(labelOf(i)));
+    const from = dateInputs.find(i => /from|begin|start/.test(labelOf(i))) || dateInputs[0];
+    const to = dateInputs.find(i => i !== from && /\bto\b|end|through/.test(labelOf(i))) || dateInputs.find(i => i !== from);
+    if (from) {
+      setValue(from, criteria.fromDate);
+      result.fromDate = true;
+    }
+    if (to) {
+      setValue(to, criteria.toDate);
+      result.toDate = true;
+    }
+    
+    return result;
+  }, criteria);
+  
+  if (!filled.caseType || !filled.fromDate || !filled.toDate) {
+    throw new ScrapeError(`Advanced search form not recognised (${JSON.stringify(filled)})`, 'selector-missing');
+  }
+  return filled;
+}
+
+// Read the case rows from the current results page
+async function extractSearchResults(page) {
+  return page.evaluate(() => {
+    const rows = [];
+    for (const table of document.querySelectorAll('table')) {
+      const headerCells = table.querySelectorAll('tr:first-child th, tr:first-child td');
+      const headers = Array.from(headerCells).map(h => h.textContent.trim().toLowerCase().replace(/\s+/g, ''));
+      const col = {
+        caseNumber: headers.findIndex(h => h.includes('case#') || h.includes('casenumber') || h === 'case'),
+        commenced: headers.findIndex(h => h.includes('commenced') || h.includes('filed')),
+        plaintiff: headers.findIndex(h => h.includes('plaintiff')),
+        defendant: headers.findIndex(h => h.includes('defendant')),
+        judgement: headers.findIndex(h => h.includes('judgement') || h.includes('judgment')),
+        status: headers.findIndex(h => h.includes('status'))
+      };
+      if (col.caseNumber === -1 || col.commenced === -1) continue;
+      
+      const trs = table.querySelectorAll('tr');
+      for (let i = 1; i < trs.length; i++) {
+        const cells = trs[i].querySelectorAll('td');
+        const cell = (idx) => idx >= 0 && cells[idx] ? cells[idx].textContent.trim().replace(/\s+/g, ' ') : '';
+        if (!cell(col.caseNumber)) continue;
+        rows.push({
+          caseNumber: cell(col.caseNumber),
+          commencedDate: cell(col.commenced),
+          plaintiff: cell(col.plaintiff),
+          defendant: cell(col.defendant),
+          judgement: col.judgement >= 0 ? cell(col.judgement) : null,
+          status: col.status >= 0 ? cell(col.status) : null
+        });
+      }
+    }
+    return rows;
+  });
+}
+
+// Click the results pager's "Next" link; false when there is no next page
+async function goToNextResultsPage(page) {
+  const clicked = await page.evaluate(() => {
+    const candidates = document.querySelectorAll('a, button, li');
+    for (const el of candidates) {
+      const text = (el.textContent || '').trim().toLowerCase();
+      if (text !== 'next' && text !== '›' && text !== '>' && el.getAttribute('aria-label')?.toLowerCase() !== 'next') continue;
+      const disabled = el.disabled || el.classList.contains('disabled') || el.closest('li')?.classList.contains('disabled') ||
+        el.getAttribute('aria-disabled') === 'true';
+      if (disabled) return false;
+      el.click();
+      return true;
+    }
+    return false;
+  });
+  if (!clicked) return false;
+  await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 }).catch(() => {});
+  await delay(1000);
+  return true;
+}
+
+// Drive the court's advanced search for open mortgage foreclosure cases
+// commenced within the configured age range, one date window at a time.
+// Returns the same shape as parseCSV().
+async function discoverCases() {
+  const windows = discoveryWindows();
+  const limiter = createHostLimiter({ requestsPerMinute: CONFIG.maxRequestsPerMinute });
+  const found = new Map();
+  let browser = null;
+  
+  console.log(`   Searching ${windows.length} commenced-date windows (${CONFIG.caseType})...`);
   
-  return { score, grade, factors };
+  try {
+    browser = await launchBrowser();
+    const page = await browser.newPage();
+    await replay.preparePage(page, 'montco-courts-search');
+    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
+    
+    for (const range of windows) {
+      const rows = await withRetry(async () => {
+        await limiter.wait(CONFIG.searchUrl);
+        const response = await page.goto(CONFIG.searchUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        await assertNotBlocked(response, page);
+        await delay(1000);
+        
+        const filled = await fillAdvancedSearch(page, { ...range, caseType: CONFIG.caseType });
+        
+        // Click search
+        await limiter.wait(CONFIG.searchUrl);
+        await page.evaluate(() => {
+          const btns = document.querySelectorAll('button, input[type="submit"]');
+          for (const btn of btns) {
+            if (btn.textContent?.toLowerCase().includes('search') ||
+                btn.value?.toLowerCase().includes('search')) {
+              btn.click();
+              return;
+            }
+          }
+        });
+        await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 }).catch(() => {});
+        await delay(CONFIG.pageLoadWait);
+        
+        const windowRows = [];
+        for (let pageNum = 1; pageNum <= CONFIG.discoveryMaxPages; pageNum++) {
+          windowRows.push(...(await extractSearchResults(page)));
+          await limiter.wait(CONFIG.searchUrl);
+          if (!(await goToNextResultsPage(page))) break;
+        }
+        
+        // Without a status column we rely on the open-cases filter we set; with
+        // neither, the status stays unknown (null) and the case isn't filtered on it
+        return windowRows.map(r => ({ ...r, status: r.status ?? (filled.openOnly ? 'Open' : null) }));
+      }, { label: `search ${range.fromDate}-${range.toDate}` });
+      
+      for (const r of rows) {
+        found.set(r.caseNumber, {
+          caseNumber: r.caseNumber,
+          commencedDate: r.commencedDate,
+          plaintiff: r.plaintiff,
+          defendant: r.defendant,
+          hasJudgement: (r.judgement || '').toLowerCase() === 'yes',
+          status: r.status
+        });
+      }
+      console.log(`   ${range.fromDate} - ${range.toDate}: ${rows.length} cases`);
+    }
+  } finally {
+    await replay.settle();
+    if (browser) await browser.close();
+  }
+  
+  return [...found.values()];
+}
+
+// Case list for a run: court search first (unless configured for CSV only),
+// falling back to the last uploaded CSV
+async function loadCaseList(options = {}) {
+  const caseSource = options.caseSource || CONFIG.caseSource;
+  const csvPath = options.csvPath || CONFIG.csvPath;
+  
+  if (caseSource !== 'csv') {
+    try {
+      console.log('🔎 Finding cases via court advanced search...');
+      const cases = await discoverCases();
+      if (cases.length > 0) {
+        console.log(`   ${cases.length} cases found by search`);
+        return cases;
+      }
+      console.log('   Search returned no cases');
+    } catch (err) {
+      console.error(`   Case search failed (${err.type || 'error'}): ${err.message}`);
+    }
+    if (caseSource === 'search') return [];
+    console.log('   Falling back to uploaded CSV');
+  }
+  
+  console.log(`📄 Loading CSV...`);
+  const cases = await parseCSV(csvPath);
+  console.log(`   ${cases.length} cases in CSV`);
+  return cases;
+}
+
+// Read a loaded case detail page: defendant addresses, every docket entry, and
+// lines that mention a parcel. Kept apart from scrapeCase so replay-check.js can
+// run it against recorded pages.
+async function extractCaseDetails(page) {
+  return page.evaluate((montcoTowns) => {
+    const result = {
+      addresses: [],
+      docket: {
+        allEntries: []
+      },
+      parcelMentions: []
+    };
+    
+    const tables = document.querySelectorAll('table');
+    
+    for (let ti = 0; ti < tables.length; ti++) {
+      const table = tables[ti];
+      const headerRow = table.querySelector('tr');
+      if (!headerRow) continue;
+      
+      const headerCells = headerRow.querySelectorAll('th, td');
+      const headers = [];
+      for (let hi = 0; hi < headerCells.length; hi++) {
+        headers.push((headerCells[hi].textContent || '').trim().toLowerCase());
+      }
+      
+      // Check if this is the Docket Entries table
+      if (headers.includes('docket type') || headers.includes('docket text')) {
+        const dateIdx = headers.findIndex(h => h.includes('filing date'));
+        const typeIdx = headers.findIndex(h => h.includes('docket type'));
+        const textIdx = headers.findIndex(h => h.includes('docket text'));
+        
+        const rows = table.querySelectorAll('tr');
+        for (let ri = 1; ri < rows.length; ri++) {
+          const cells = rows[ri].querySelectorAll('td');
+          const filingDate = dateIdx >= 0 && cells[dateIdx] ? cells[dateIdx].textContent.trim() : '';
+          const docketType = typeIdx >= 0 && cells[typeIdx] ? cells[typeIdx].textContent.trim() : '';
+          const rawText = textIdx >= 0 && cells[textIdx] ? cells[textIdx].textContent.trim() : '';
+          
+          // Keep every entry as written; the docket classifier reads these
+          if (filingDate || docketType || rawText) {
+            result.docket.allEntries.push({ date: filingDate, type: docketType, text: rawText.replace(/\s+/g, ' ') });
+          }
+        }
+        
+        continue;
+      }
+      
+      // Check if this is the address table
+      let addrIdx = -1;
+      for (let hi = 0; hi < headers.length; hi++) {
+        if (headers[hi] === 'address') {
+          addrIdx = hi;
+          break;
+        }
+      }
+      
+      if (addrIdx === -1) continue;
+      
+      const rows = table.querySelectorAll('tr');
+      for (let ri = 1; ri < rows.length; ri++) {
+        const cells = rows[ri].querySelectorAll('td');
+        if (cells.length <= addrIdx) continue;
+        
+        const addrCell = cells[addrIdx];
+        const text = (addrCell.textContent || '').trim();
+        const html = addrCell.innerHTML || '';
+        
+        // Check for "PA " in text
+        const paIdx = text.indexOf('PA ');
+        if (paIdx === -1) continue;
+        
+        // Get zip (5 digits after "PA ")
+        const afterPA = text.substring(paIdx + 3);
+        let zip = '';
+        for (let di = 0; di < 5 && di < afterPA.length; di++) {
+          const ch = afterPA.charAt(di);
+          if (ch >= '0' && ch <= '9') {
+            zip += ch;
+          } else {
+            break;
+          }
+        }
+        
+        if (zip.length !== 5) continue;
+        
+        // Get street and city from HTML (split by <br>)
+        let street = '';
+        let city = '';
+        
+        const brIdx = html.toLowerCase().indexOf('<br');
+        if (brIdx > 0) {
+          street = html.substring(0, brIdx).replace(/<[^>]*>/g, '').trim();
+          const afterBr = html.substring(brIdx);
+          const gtIdx = afterBr.indexOf('>');
+          if (gtIdx > 0) {
+            const cityPart = afterBr.substring(gtIdx + 1).replace(/<[^>]*>/g, '').trim();
+            const cityPaIdx = cityPart.indexOf('PA ');
+            if (cityPaIdx > 0) {
+              city = cityPart.substring(0, cityPaIdx).replace(/,/g, '').trim();
+            }
+          }
+        }
+        
+        // Check Montgomery County
+        const upperCity = city.toUpperCase();
+        let inMontCo = false;
+        for (let mi = 0; mi < montcoTowns.length; mi++) {
+          if (upperCity.indexOf(montcoTowns[mi]) !== -1) {
+            inMontCo = true;
+            break;
+          }
+        }
+        
+        result.addresses.push({ street, city, state: 'PA', zip, inMontCo });
+      }
+    }
+    
+    // Lines naming a parcel anywhere on the page (complaint description, case details)
+    const pageLines = (document.body.innerText || '').split('\n');
+    for (let li = 0; li < pageLines.length && result.parcelMentions.length < 10; li++) {
+      if (/PARCEL|TAX MAP|\bUPI\b/i.test(pageLines[li])) result.parcelMentions.push(pageLines[li].trim().substring(0, 300));
+    }
+    
+    return result;
+  }, MONTCO_TOWNS);
+}
+
+// Look up one case on the court site and score it. Throws a ScrapeError when
+// the search doesn't land on a case detail page.
+async function scrapeCase(page, c, limiter, scoring) {
+  // Navigate to search page and wait for full load
+  await limiter.wait(CONFIG.searchUrl);
+  const response = await page.goto(CONFIG.searchUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+  await assertNotBlocked(response, page);
+  await delay(1000);
+  
+  // Type case number
+  await page.evaluate((caseNum) => {
+    const inputs = document.querySelectorAll('input[type="text"]');
+    for (const input of inputs) {
+      const label = input.closest('div')?.querySelector('label') || 
+                    input.previousElementSibling ||
+                    document.querySelector('label[for="' + input.id + '"]');
+      if (label?.textContent?.includes('Case #')) {
+        input.value = caseNum;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        return;
+      }
+    }
+  }, c.caseNumber);
+  
+  // Click search (navigates to the case detail page)
+  await limiter.wait(CONFIG.searchUrl);
+  await page.evaluate(() => {
+    const btns = document.querySelectorAll('button, input[type="submit"]');
+    for (const btn of btns) {
+      if (btn.textContent?.toLowerCase().includes('search') || 
+          btn.value?.toLowerCase().includes('search')) {
+        btn.click();
+        return;
+      }
+    }
+  });
+  
+  // Wait for navigation to detail page with FULL load
+  await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 }).catch(() => {});
+  
+  // Extra wait for dynamic content (Defendants table)
+  await delay(CONFIG.pageLoadWait);
+  
+  const currentUrl = page.url();
+  if (!currentUrl.includes('/detail/Case/')) {
+    throw new ScrapeError('Search did not reach a case detail page', 'navigation');
+  }
+  
+  // Wait for Defendants section to appear
+  try {
+    await page.waitForFunction(() => {
+      const text = document.body.innerText;
+      return text.includes('Defendants') && text.includes('Address');
+    }, { timeout: 5000 });
+  } catch (e) {
+    // Continue anyway, maybe it loaded
+  }
+  
+  // Extract addresses AND docket entries
+  const data = await extractCaseDetails(page);
+  
+  // Pick best address (from new data structure)
+  const addresses = data.addresses || [];
+  let bestAddr = addresses.find(a => a.inMontCo) || addresses[0] || null;
+  
+  c.propertyAddress = bestAddr?.street || '';
+  c.propertyCity = bestAddr?.city || '';
+  c.propertyState = bestAddr?.state || 'PA';
+  c.propertyZip = bestAddr?.zip || '';
+  c.inMontgomeryCounty = bestAddr?.inMontCo || false;
+  c.detailUrl = currentUrl;
+  
+  // Store docket info; the full docket goes to the docket store, not the case
+  const allEntries = data.docket?.allEntries || [];
+  const { newEntries } = await saveDocket(c.caseNumber, allEntries, { detailUrl: currentUrl });
+  const { events, summary } = classifyDocket(allEntries);
+  c.docketSummary = summary;
+  const toEvent = (e) => ({
+    date: e.date,
+    type: e.type,
+    text: (e.text || '').toUpperCase().substring(0, 150),
+    category: e.category
+  });
+  // events line up with allEntries, and newEntries holds the same objects
+  const isNew = new Set(newEntries || []);
+  
+  // Parcel ID from the docket or complaint description, when one is written down
+  const parcel = parcelFromDocket([...(data.parcelMentions || []), ...allEntries.map(e => e.text)]);
+  
+  // Calculate enhanced score with docket signals
+  const ls = calculateEnhancedScore(c, scoring.rules);
+  
+  return {
+    caseNumber: c.caseNumber,
+    commencedDate: parseDate(c.commencedDate),
+    daysOpen: c.daysOpen,
+    monthsOpen: c.monthsOpen,
+    inSweetSpot: c.inSweetSpot,
+    plaintiff: c.plaintiff,
+    defendant: c.defendant,
+    propertyAddress: c.propertyAddress,
+    propertyCity: c.propertyCity,
+    propertyState: c.propertyState,
+    propertyZip: c.propertyZip,
+    inMontgomeryCounty: c.inMontgomeryCounty,
+    parcelNumber: parcel?.parcelNumber || null,
+    parcelMatch: parcel ? { ...parcel, resolvedAt: new Date().toISOString() } : null,
+    hasJudgement: c.hasJudgement,
+    status: c.status,
+    leadScore: ls.score,
+    leadGrade: ls.grade,
+    leadType: ls.leadType,
+    scoreFactors: ls.factors,
+    scoringVersion: scoring.version,
+    docket: {
+      entries: summary.entries,
+      hasBankruptcy: summary.hasBankruptcy,
+      continuanceCount: summary.continuanceCount,
+      hasConciliation: summary.hasConciliation,
+      isStayed: summary.isStayed,
+      lastFilingDate: summary.lastFilingDate,
+      daysSinceLastFiling: summary.daysSinceLastFiling,
+      hasServiceCompleted: summary.hasServiceCompleted,
+      // Last 5 entries, for the cards
+      recentEvents: events.slice(-5).map(toEvent),
+      // Entries filed since the last scrape, wherever they fall in the docket, for
+      // the change detector; null the first time the docket is stored
+      newEvents: newEntries ? events.filter((e, i) => isNew.has(allEntries[i])).map(toEvent) : null
+    },
+    docketSummary: summary,
+    detailUrl: c.detailUrl,
+    county: 'Montgomery',
+    state: 'PA'
+  };
 }
 
 async function scrapeMontgomeryCourts(options = {}) {
@@ -377,9 +832,7 @@ async function scrapeMontgomeryCourts(options = {}) {
   
   let allCases;
   try {
-    console.log(`📄 Loading CSV...`);
-    allCases = await parseCSV(csvPath);
-    console.log(`   ${allCases.length} cases in CSV`);
+    allCases = await loadCaseList({ csvPath, caseSource: options.caseSource });
   } catch (err) {
     console.error(`   Error: ${err.message}`);
     return [];
@@ -397,7 +850,7 @@ async function scrapeMontgomeryCourts(options = {}) {
   console.log(`   Sweet spot: ${CONFIG.sweetSpotMinMonths}-${CONFIG.sweetSpotMaxMonths} months old`);
   
   let targets = allCases
-    .filter(c => c.status.toUpperCase().includes('OPEN') && !c.hasJudgement)
+    .filter(c => (c.status == null || c.status.toUpperCase().includes('OPEN')) && !c.hasJudgement)
     .map(c => {
       const m = c.commencedDate.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
       c.daysOpen = m ? Math.ceil((now - new Date(m[3], m[1] - 1, m[2])) / 86400000) : 0;
@@ -420,6 +873,12 @@ async function scrapeMontgomeryCourts(options = {}) {
     return b.daysOpen - a.daysOpen;
   });
   
+  // Retry-failed mode: only the cases in the failure ledger
+  if (options.retryOnly) {
+    targets = targets.filter(c => options.retryOnly.has(c.caseNumber));
+    console.log(`   ↻ Retrying ${targets.length} previously failed cases`);
+  }
+  
   // Apply limits: test mode takes priority, then maxCasesToProcess
   if (testMode) {
     targets = targets.slice(0, CONFIG.testModeLimit);
@@ -431,328 +890,112 @@ async function scrapeMontgomeryCourts(options = {}) {
     console.log(`   Processing ALL ${targets.length} cases`);
   }
   
-  const results = [];
-  let browser = null;
-  let page = null;
+  // Slot per target so results come out in the same order as a sequential run
+  const slots = new Array(targets.length).fill(null);
+  
+  // Cases already finished in a resumed run keep their checkpointed result
+  const { checkpoint } = options;
+  const pending = [];
+  targets.forEach((c, i) => {
+    if (checkpoint?.has(c.caseNumber)) slots[i] = checkpoint.get(c.caseNumber);
+    else pending.push(i);
+  });
+  if (pending.length < targets.length) {
+    console.log(`   ⏭ Resuming: ${targets.length - pending.length} cases already done, ${pending.length} to go`);
+  }
   
-  console.log(`\n🌐 Scraping ${targets.length} cases...`);
+  const scoring = await loadScoringRules();
+  console.log(`   Scoring rules v${scoring.version}`);
   
-  for (let i = 0; i < targets.length; i++) {
-    if (i % CONFIG.batchSize === 0) {
-      if (browser) {
-        await browser.close();
-        await delay(1500);
-      }
-      console.log(`   🔄 Browser restart (batch ${Math.floor(i / CONFIG.batchSize) + 1})...`);
-      browser = await launchBrowser();
-      page = await browser.newPage();
-      
-      // DON'T block resources - we need JS to run!
-      // Remove request interception that was blocking things
-      
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-    }
+  const concurrency = Math.max(1, Math.min(options.concurrency || CONFIG.concurrency, pending.length));
+  const limiter = createHostLimiter({ requestsPerMinute: CONFIG.maxRequestsPerMinute });
+  let nextPending = 0;
+  const failed = new Set();
+  
+  console.log(`\n🌐 Scraping ${pending.length} cases (${concurrency} workers, max ${CONFIG.maxRequestsPerMinute} requests/min)...`);
+  
+  // Each worker owns a browser, recycled every batchSize cases it handles. A
+  // browser that fails to close or launch fails only the case it was meant for;
+  // the next case tries a fresh one.
+  async function worker(workerId) {
+    let browser = null;
+    let page = null;
+    let handled = 0;
     
-    const c = targets[i];
+    const closeBrowser = async () => {
+      await replay.settle();
+      if (browser) await browser.close().catch(err => console.log(`   ⚠️ Browser close failed (worker ${workerId}): ${err.message}`));
+      browser = null;
+      page = null;
+    };
     
     try {
-      await delay(CONFIG.requestDelay);
-      
-      // Navigate to search page and wait for full load
-      await page.goto(CONFIG.searchUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-      await delay(1000);
-      
-      // Type case number
-      await page.evaluate((caseNum) => {
-        const inputs = document.querySelectorAll('input[type="text"]');
-        for (const input of inputs) {
-          const label = input.closest('div')?.querySelector('label') || 
-                        input.previousElementSibling ||
-                        document.querySelector('label[for="' + input.id + '"]');
-          if (label?.textContent?.includes('Case #')) {
-            input.value = caseNum;
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            return;
-          }
-        }
-      }, c.caseNumber);
-      
-      // Click search
-      await page.evaluate(() => {
-        const btns = document.querySelectorAll('button, input[type="submit"]');
-        for (const btn of btns) {
-          if (btn.textContent?.toLowerCase().includes('search') || 
-              btn.value?.toLowerCase().includes('search')) {
-            btn.click();
-            return;
-          }
-        }
-      });
-      
-      // Wait for navigation to detail page with FULL load
-      await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 }).catch(() => {});
-      
-      // Extra wait for dynamic content (Defendants table)
-      await delay(CONFIG.pageLoadWait);
-      
-      const currentUrl = page.url();
-      if (!currentUrl.includes('/detail/Case/')) {
-        console.log(`   ${i + 1}/${targets.length} ~ ${c.caseNumber} (no detail)`);
-        continue;
-      }
-      
-      // Wait for Defendants section to appear
-      try {
-        await page.waitForFunction(() => {
-          const text = document.body.innerText;
-          return text.includes('Defendants') && text.includes('Address');
-        }, { timeout: 5000 });
-      } catch (e) {
-        // Continue anyway, maybe it loaded
-      }
-      
-      // Extract addresses AND docket entries
-      const data = await page.evaluate((montcoTowns) => {
-        const result = {
-          addresses: [],
-          docket: {
-            entries: 0,
-            hasBankruptcy: false,
-            continuanceCount: 0,
-            hasConciliation: false,
-            isStayed: false,
-            lastFilingDate: null,
-            hasServiceCompleted: false,
-            docketEvents: []
-          }
-        };
-        
-        const tables = document.querySelectorAll('table');
+      while (nextPending < pending.length) {
+        const i = pending[nextPending++];
+        const c = targets[i];
         
-        for (let ti = 0; ti < tables.length; ti++) {
-          const table = tables[ti];
-          const headerRow = table.querySelector('tr');
-          if (!headerRow) continue;
-          
-          const headerCells = headerRow.querySelectorAll('th, td');
-          const headers = [];
-          for (let hi = 0; hi < headerCells.length; hi++) {
-            headers.push((headerCells[hi].textContent || '').trim().toLowerCase());
-          }
-          
-          // Check if this is the Docket Entries table
-          if (headers.includes('docket type') || headers.includes('docket text')) {
-            const dateIdx = headers.findIndex(h => h.includes('filing date'));
-            const typeIdx = headers.findIndex(h => h.includes('docket type'));
-            const textIdx = headers.findIndex(h => h.includes('docket text'));
-            
-            const rows = table.querySelectorAll('tr');
-            result.docket.entries = rows.length - 1; // Exclude header
-            
-            // Collect ALL docket text and types for comprehensive analysis
-            let allDocketText = [];
-            let allDocketTypes = [];
-            let firstFilingDate = null;
-            let lastFilingDate = null;
-            
-            for (let ri = 1; ri < rows.length; ri++) {
-              const cells = rows[ri].querySelectorAll('td');
-              const filingDate = dateIdx >= 0 && cells[dateIdx] ? cells[dateIdx].textContent.trim() : '';
-              const docketType = typeIdx >= 0 && cells[typeIdx] ? cells[typeIdx].textContent.trim() : '';
-              const docketText = textIdx >= 0 && cells[textIdx] ? cells[textIdx].textContent.trim().toUpperCase() : '';
-              
-              // Track first and last filing dates
-              if (filingDate) {
-                if (!firstFilingDate) firstFilingDate = filingDate;
-                lastFilingDate = filingDate;
-              }
-              
-              // Collect all text for comprehensive pattern matching
-              if (docketType) allDocketTypes.push(docketType.toUpperCase());
-              if (docketText) allDocketText.push(docketText);
-              
-              // Detect signals in docket text
-              if (docketText.includes('BANKRUPTCY')) {
-                result.docket.hasBankruptcy = true;
-              }
-              if (docketText.includes('CONTINUED TO') || docketText.includes('CONTINUANCE')) {
-                result.docket.continuanceCount++;
-              }
-              if (docketText.includes('CONCILIATION') || docketText.includes('MEDIATION') || docketText.includes('CONFERENCE')) {
-                result.docket.hasConciliation = true;
-              }
-              if (docketText.includes('STAYED') || docketText.includes('STAY ')) {
-                result.docket.isStayed = true;
-              }
-              if (docketText.includes('SERVICE') && (docketText.includes('COMPLETED') || docketText.includes('SERVED'))) {
-                result.docket.hasServiceCompleted = true;
-              }
-              
-              // Store recent docket events (last 5)
-              if (ri >= rows.length - 5) {
-                result.docket.docketEvents.push({
-                  date: filingDate,
-                  type: docketType,
-                  text: docketText.substring(0, 150)
-                });
-              }
+        try {
+          if (!page || handled % CONFIG.batchSize === 0) {
+            if (browser) {
+              await closeBrowser();
+              await delay(1500);
             }
+            console.log(`   🔄 Browser restart (worker ${workerId}, batch ${Math.floor(handled / CONFIG.batchSize) + 1})...`);
+            browser = await launchBrowser();
+            page = await browser.newPage();
+            await replay.preparePage(page, 'montco-courts');
             
-            // Store concatenated text for pattern matching in scoring
-            result.docket.allText = allDocketText.join(' | ');
-            result.docket.allTypes = allDocketTypes.join(' | ');
-            result.docket.firstFilingDate = firstFilingDate;
-            result.docket.lastFilingDate = lastFilingDate;
-            
-            // Calculate days since last filing
-            if (lastFilingDate) {
-              const parts = lastFilingDate.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
-              if (parts) {
-                const lastDate = new Date(parts[3], parts[1] - 1, parts[2]);
-                result.docket.daysSinceLastFiling = Math.floor((new Date() - lastDate) / 86400000);
-              }
-            }
-            
-            continue;
+            // DON'T block resources - we need JS to run!
+            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
           }
+          handled++;
           
-          // Check if this is the address table
-          let addrIdx = -1;
-          for (let hi = 0; hi < headers.length; hi++) {
-            if (headers[hi] === 'address') {
-              addrIdx = hi;
-              break;
-            }
-          }
+          const result = await withRetry(() => scrapeCase(page, c, limiter, scoring), { label: c.caseNumber });
+          await checkpoint?.record(c.caseNumber, result);
+          await clearFailure('pipeline', c.caseNumber);
+          slots[i] = result;
           
-          if (addrIdx === -1) continue;
+          const grade = result.leadGrade;
+          const gradeEmoji = grade === 'A' ? '🔥' : grade === 'B' ? '⭐' : grade === 'C' ? '📋' : '⚠️';
+          const docketInfo = result.docket.entries ? ` [${result.docket.entries}dok]` : '';
+          const addrStr = result.propertyAddress ? 
+            `${result.propertyAddress}, ${result.propertyCity}` : 
+            'No addr';
+          console.log(`   ${i + 1}/${targets.length} ${gradeEmoji} ${c.caseNumber} [${grade}:${result.leadScore}]${docketInfo} - ${addrStr}`);
           
-          const rows = table.querySelectorAll('tr');
-          for (let ri = 1; ri < rows.length; ri++) {
-            const cells = rows[ri].querySelectorAll('td');
-            if (cells.length <= addrIdx) continue;
-            
-            const addrCell = cells[addrIdx];
-            const text = (addrCell.textContent || '').trim();
-            const html = addrCell.innerHTML || '';
-            
-            // Check for "PA " in text
-            const paIdx = text.indexOf('PA ');
-            if (paIdx === -1) continue;
-            
-            // Get zip (5 digits after "PA ")
-            const afterPA = text.substring(paIdx + 3);
-            let zip = '';
-            for (let di = 0; di < 5 && di < afterPA.length; di++) {
-              const ch = afterPA.charAt(di);
-              if (ch >= '0' && ch <= '9') {
-                zip += ch;
-              } else {
-                break;
-              }
-            }
-            
-            if (zip.length !== 5) continue;
-            
-            // Get street and city from HTML (split by <br>)
-            let street = '';
-            let city = '';
-            
-            const brIdx = html.toLowerCase().indexOf('<br');
-            if (brIdx > 0) {
-              street = html.substring(0, brIdx).replace(/<[^>]*>/g, '').trim();
-              const afterBr = html.substring(brIdx);
-              const gtIdx = afterBr.indexOf('>');
-              if (gtIdx > 0) {
-                const cityPart = afterBr.substring(gtIdx + 1).replace(/<[^>]*>/g, '').trim();
-                const cityPaIdx = cityPart.indexOf('PA ');
-                if (cityPaIdx > 0) {
-                  city = cityPart.substring(0, cityPaIdx).replace(/,/g, '').trim();
-                }
-              }
-            }
-            
-            // Check Montgomery County
-            const upperCity = city.toUpperCase();
-            let inMontCo = false;
-            for (let mi = 0; mi < montcoTowns.length; mi++) {
-              if (upperCity.indexOf(montcoTowns[mi]) !== -1) {
-                inMontCo = true;
-                break;
-              }
-            }
-            
-            result.addresses.push({ street, city, state: 'PA', zip, inMontCo });
-          }
+        } catch (err) {
+          err.type = err.type || classifyError(err);
+          await recordFailure('pipeline', {
+            key: c.caseNumber,
+            label: [c.caseNumber, c.defendant].filter(Boolean).join(' - '),
+            source: 'montco-courts'
+          }, err);
+          failed.add(i);
+          console.log(`   ${i + 1}/${targets.length} ~ ${c.caseNumber} (${err.type}: ${err.message.slice(0, 40)})`);
         }
-        
-        return result;
-      }, MONTCO_TOWNS);
-      
-      // Pick best address (from new data structure)
-      const addresses = data.addresses || [];
-      let bestAddr = addresses.find(a => a.inMontCo) || addresses[0] || null;
-      
-      c.propertyAddress = bestAddr?.street || '';
-      c.propertyCity = bestAddr?.city || '';
-      c.propertyState = bestAddr?.state || 'PA';
-      c.propertyZip = bestAddr?.zip || '';
-      c.inMontgomeryCounty = bestAddr?.inMontCo || false;
-      c.detailUrl = currentUrl;
-      
-      // Store docket info
-      c.docket = data.docket || {};
-      
-      // Calculate enhanced score with docket signals
-      const ls = calculateEnhancedScore(c);
-      
-      results.push({
-        caseNumber: c.caseNumber,
-        commencedDate: parseDate(c.commencedDate),
-        daysOpen: c.daysOpen,
-        monthsOpen: c.monthsOpen,
-        inSweetSpot: c.inSweetSpot,
-        plaintiff: c.plaintiff,
-        defendant: c.defendant,
-        propertyAddress: c.propertyAddress,
-        propertyCity: c.propertyCity,
-        propertyState: c.propertyState,
-        propertyZip: c.propertyZip,
-        inMontgomeryCounty: c.inMontgomeryCounty,
-        hasJudgement: c.hasJudgement,
-        status: c.status,
-        leadScore: ls.score,
-        leadGrade: ls.grade,
-        scoreFactors: ls.factors,
-        docket: {
-          entries: c.docket.entries || 0,
-          hasBankruptcy: c.docket.hasBankruptcy || false,
-          continuanceCount: c.docket.continuanceCount || 0,
-          hasConciliation: c.docket.hasConciliation || false,
-          isStayed: c.docket.isStayed || false,
-          lastFilingDate: c.docket.lastFilingDate || null,
-          daysSinceLastFiling: c.docket.daysSinceLastFiling || null,
-          hasServiceCompleted: c.docket.hasServiceCompleted || false,
-          recentEvents: c.docket.docketEvents || []
-        },
-        detailUrl: c.detailUrl,
-        county: 'Montgomery',
-        state: 'PA'
-      });
-      
-      const gradeEmoji = ls.grade === 'A' ? '🔥' : ls.grade === 'B' ? '⭐' : ls.grade === 'C' ? '📋' : '⚠️';
-      const docketInfo = c.docket.entries ? ` [${c.docket.entries}dok]` : '';
-      const addrStr = c.propertyAddress ? 
-        `${c.propertyAddress}, ${c.propertyCity}` : 
-        'No addr';
-      console.log(`   ${i + 1}/${targets.length} ${gradeEmoji} ${c.caseNumber} [${ls.grade}:${ls.score}]${docketInfo} - ${addrStr}`);
-      
-    } catch (err) {
-      console.log(`   ${i + 1}/${targets.length} ~ ${c.caseNumber} (${err.message.slice(0, 40)})`);
+      }
+    } finally {
+      await closeBrowser();
     }
   }
   
-  if (browser) await browser.close();
+  // One worker dying must not throw away what the others scraped
+  const settled = await Promise.allSettled(Array.from({ length: concurrency }, (_, w) => worker(w + 1)));
+  settled.filter(r => r.status === 'rejected').forEach(r => console.log(`   ⚠️ Worker stopped: ${r.reason?.message || r.reason}`));
+  
+  // Cases a stopped worker had taken, or that nobody got to, go in the failure
+  // ledger like any other failure, so the run doesn't count them as dropped
+  for (const i of pending) {
+    if (slots[i] || failed.has(i)) continue;
+    const c = targets[i];
+    await recordFailure('pipeline', {
+      key: c.caseNumber,
+      label: [c.caseNumber, c.defendant].filter(Boolean).join(' - '),
+      source: 'montco-courts'
+    }, Object.assign(new Error('Not scraped: worker stopped'), { type: 'unknown' }));
+  }
+  
+  const results = slots.filter(Boolean);
   
   results.sort((a, b) => b.leadScore - a.leadScore);
   
@@ -769,4 +1012,11 @@ async function scrapeMontgomeryCourts(options = {}) {
   return results;
 }
 
-module.exports = { scrapeMontgomeryCourts, parseCSV, CONFIG, MONTCO_TOWNS };
+const adapters = [{
+  id: 'montco-courts',
+  name: 'Montgomery County Courts',
+  kind: 'court-pipeline',
+  run: (options) => scrapeMontgomeryCourts(options)
+}];
+
+module.exports = { scrapeMontgomeryCourts, discoverCases, parseCSV, extractCaseDetails, calculateEnhancedScore, calculateProbateScore, CONFIG, MONTCO_TOWNS, adapters };
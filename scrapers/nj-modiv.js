@@ -0,0 +1,270 @@
+// Property Enrichment Module for Camden County, NJ
+// Looks properties up in the county tax board's MOD-IV tax records, which are
+// keyed by municipality (district code), block and lot. Same enrichment fields
+// as property-enrichment.js, so the rest of the app doesn't care which county a
+// property came from.
+
+const { enrichWithCache, applyOwnerOccupancy } = require('./property-enrichment');
+const { cacheKey } = require('../lib/enrichment-cache');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const CONFIG = {
+  // County tax board MOD-IV search (Camden's records are under ms_user ctb04)
+  searchUrl: 'http://tax1.co.monmouth.nj.us/cgi-bin/inf.cgi',
+  msUser: 'ctb04',
+  timeout: 30000
+};
+
+// Camden County municipalities and their MOD-IV district codes
+const CAMDEN_DISTRICTS = [
+  { code: '0401', name: 'AUDUBON', type: 'BOROUGH' },
+  { code: '0402', name: 'AUDUBON PARK', type: 'BOROUGH' },
+  { code: '0403', name: 'BARRINGTON', type: 'BOROUGH' },
+  { code: '0404', name: 'BELLMAWR', type: 'BOROUGH' },
+  { code: '0405', name: 'BERLIN', type: 'BOROUGH' },
+  { code: '0406', name: 'BERLIN', type: 'TOWNSHIP' },
+  { code: '0407', name: 'BROOKLAWN', type: 'BOROUGH' },
+  { code: '0408', name: 'CAMDEN', type: 'CITY' },
+  { code: '0409', name: 'CHERRY HILL', type: 'TOWNSHIP' },
+  { code: '0410', name: 'CHESILHURST', type: 'BOROUGH' },
+  { code: '0411', name: 'CLEMENTON', type: 'BOROUGH' },
+  { code: '0412', name: 'COLLINGSWOOD', type: 'BOROUGH' },
+  { code: '0413', name: 'GIBBSBORO', type: 'BOROUGH' },
+  { code: '0414', name: 'GLOUCESTER', type: 'CITY' },
+  { code: '0415', name: 'GLOUCESTER', type: 'TOWNSHIP' },
+  { code: '0416', name: 'HADDON', type: 'TOWNSHIP' },
+  { code: '0417', name: 'HADDONFIELD', type: 'BOROUGH' },
+  { code: '0418', name: 'HADDON HEIGHTS', type: 'BOROUGH' },
+  { code: '0419', name: 'HI NELLA', type: 'BOROUGH' },
+  { code: '0420', name: 'LAUREL SPRINGS', type: 'BOROUGH' },
+  { code: '0421', name: 'LAWNSIDE', type: 'BOROUGH' },
+  { code: '0422', name: 'LINDENWOLD', type: 'BOROUGH' },
+  { code: '0423', name: 'MAGNOLIA', type: 'BOROUGH' },
+  { code: '0424', name: 'MERCHANTVILLE', type: 'BOROUGH' },
+  { code: '0425', name: 'MOUNT EPHRAIM', type: 'BOROUGH' },
+  { code: '0426', name: 'OAKLYN', type: 'BOROUGH' },
+  { code: '0427', name: 'PENNSAUKEN', type: 'TOWNSHIP' },
+  { code: '0428', name: 'PINE HILL', type: 'BOROUGH' },
+  { code: '0429', name: 'PINE VALLEY', type: 'BOROUGH' },
+  { code: '0430', name: 'RUNNEMEDE', type: 'BOROUGH' },
+  { code: '0431', name: 'SOMERDALE', type: 'BOROUGH' },
+  { code: '0432', name: 'STRATFORD', type: 'BOROUGH' },
+  { code: '0433', name: 'TAVISTOCK', type: 'BOROUGH' },
+  { code: '0434', name: 'VOORHEES', type: 'TOWNSHIP' },
+  { code: '0435', name: 'WATERFORD', type: 'TOWNSHIP' },
+  { code: '0436', name: 'WINSLOW', type: 'TOWNSHIP' },
+  { code: '0437', name: 'WOODLYNNE', type: 'BOROUGH' }
+];
+
+// Postal towns that aren't municipality names
+const POSTAL_TOWNS = {
+  'BLACKWOOD': '0415',
+  'ERIAL': '0415',
+  'GLENDORA': '0415',
+  'WESTMONT': '0416',
+  'WEST BERLIN': '0406',
+  'ATCO': '0435',
+  'SICKLERVILLE': '0436',
+  'MT EPHRAIM': '0425'
+};
+
+// MOD-IV property class codes
+const PROPERTY_CLASSES = {
+  '1': 'Vacant Land',
+  '2': 'Residential',
+  '3A': 'Farm (Regular)',
+  '3B': 'Farm (Qualified)',
+  '4A': 'Commercial',
+  '4B': 'Industrial',
+  '4C': 'Apartment',
+  '15A': 'Exempt - Public School',
+  '15C': 'Exempt - Public Property',
+  '15D': 'Exempt - Church & Charitable',
+  '15F': 'Exempt - Other'
+};
+
+const TYPE_WORDS = [
+  { pattern: /\b(TOWNSHIP|TWP)\b/, type: 'TOWNSHIP' },
+  { pattern: /\b(BOROUGH|BORO|BOR)\b/, type: 'BOROUGH' },
+  { pattern: /\bCITY\b/, type: 'CITY' }
+];
+
+// District code for a CivilView township ("Township of Pennsauken", "CAMDEN CITY")
+// or a mailing city. Names shared by two municipalities (Berlin, Gloucester) need
+// the type to be given.
+function districtFor(township, city) {
+  for (const place of [township, city]) {
+    let text = String(place || '').toUpperCase().replace(/[^A-Z ]+/g, ' ');
+    const typeWord = TYPE_WORDS.find(t => t.pattern.test(text));
+    text = text.replace(/\b(TOWNSHIP|TWP|BOROUGH|BORO|BOR|CITY|OF)\b/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    if (POSTAL_TOWNS[text]) return POSTAL_TOWNS[text];
+    const matches = CAMDEN_DISTRICTS.filter(d => d.name === text.replace(/^MT /, 'MOUNT '));
+    if (matches.length === 1) return matches[0].code;
+    const typed = typeWord && matches.find(d => d.type === typeWord.type);
+    if (typed) return typed.code;
+  }
+  return null;
+}
+
+// CivilView writes block/lot several ways: "Block 1208 Lot 44", "BLOCK: 1208, LOT: 44 QUAL C0002", "1208/44"
+function parseBlockLot(parcel) {
+  const text = String(parcel || '').toUpperCase();
+  let m = text.match(/BLOCK\W*([\d.]+)\W+LOT\W*([\d.]+)(?:\W+(?:QUAL(?:IFIER)?)\W*([A-Z0-9.]+))?/);
+  if (m) return { block: m[1], lot: m[2], qualifier: m[3] || null };
+  m = text.match(/^\s*([\d.]+)\s*\/\s*([\d.]+)(?:\s*\/\s*([A-Z0-9.]+))?\s*$/);
+  if (m) return { block: m[1], lot: m[2], qualifier: m[3] || null };
+  return null;
+}
+
+// Block and lot numbers repeat across towns, so cache entries are keyed on all three
+function modivKey(caseData) {
+  const district = districtFor(caseData.township, caseData.propertyCity);
+  if (!district) return null;
+  const blockLot = parseBlockLot(caseData.parcelNumber);
+  if (blockLot) return `modiv:${district}-${blockLot.block}-${blockLot.lot}${blockLot.qualifier ? `-${blockLot.qualifier}` : ''}`;
+  return cacheKey({ propertyAddress: caseData.propertyAddress, propertyCity: district });
+}
+
+function searchUrl(params) {
+  const query = new URLSearchParams({ ms_user: CONFIG.msUser, passwd: '', adv: '1', out_type: '1', ...params });
+  return `${CONFIG.searchUrl}?${query}`;
+}
+
+// Enrich a single property with MOD-IV data
+async function enrichPropertyData(page, caseData) {
+  const enrichment = {
+    assessedValue: null,
+    landValue: null,
+    improvementValue: null,
+    propertyType: null,
+    yearBuilt: null,
+    squareFeet: null,
+    bedrooms: null,
+    bathrooms: null,
+    lotSize: null,
+    ownerName: null,
+    ownerMailingAddress: null,
+    isOwnerOccupied: null,
+    isAbsenteeOwner: null,
+    ownerMatch: null,
+    taxStatus: null,
+    taxDelinquent: false,
+    lastSaleDate: null,
+    lastSalePrice: null,
+    district: null,
+    block: null,
+    lot: null,
+    qualifier: null,
+    enrichmentSource: 'NJ MOD-IV (Camden County)',
+    enrichedAt: new Date().toISOString()
+  };
+
+  try {
+    const district = districtFor(caseData.township, caseData.propertyCity);
+    if (!district) return enrichment;
+    enrichment.district = district;
+
+    // Block/lot is exact; otherwise search the property location within the town
+    const blockLot = parseBlockLot(caseData.parcelNumber);
+    if (!blockLot && !caseData.propertyAddress) return enrichment;
+    const url = blockLot
+      ? searchUrl({ srch_type: '1', district, block: blockLot.block, lot: blockLot.lot, qual: blockLot.qualifier || '' })
+      : searchUrl({ srch_type: '0', district, location: caseData.propertyAddress.toUpperCase() });
+
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: CONFIG.timeout });
+    await delay(1000);
+
+    const data = await extractModivData(page);
+    Object.assign(enrichment, data, {
+      propertyType: PROPERTY_CLASSES[data.propertyClass] || data.propertyClass || null,
+      block: data.block || blockLot?.block || null,
+      lot: data.lot || blockLot?.lot || null,
+      qualifier: data.qualifier || blockLot?.qualifier || null
+    });
+    delete enrichment.propertyClass;
+
+    applyOwnerOccupancy(enrichment, caseData);
+
+  } catch (error) {
+    console.log(`     Enrichment error: ${error.message}`);
+    // Tells the caller the site failed, as opposed to having no record
+    enrichment.lookupError = error.message;
+  }
+
+  return enrichment;
+}
+
+// Extract one MOD-IV record from the results page
+async function extractModivData(page) {
+  return await page.evaluate(() => {
+    // MOD-IV pages are label / value table cells
+    const cells = [...document.querySelectorAll('td, th')].map(td => (td.textContent || '').replace(/\s+/g, ' ').trim());
+    const findValue = (labels) => {
+      for (let i = 0; i < cells.length - 1; i++) {
+        const cell = cells[i].replace(/:$/, '').toLowerCase();
+        if (labels.some(label => cell === label.toLowerCase())) return cells[i + 1] || null;
+      }
+      return null;
+    };
+
+    const parseCurrency = (str) => {
+      if (!str) return null;
+      const num = parseFloat(str.replace(/[$,]/g, ''));
+      return isNaN(num) ? null : num;
+    };
+    const parseInt2 = (str) => {
+      if (!str) return null;
+      const num = parseInt(str.replace(/[^0-9]/g, ''));
+      return isNaN(num) ? null : num;
+    };
+
+    const street = findValue(['Street', 'Owner Street', 'Mailing Address']);
+    const cityState = findValue(['City State', 'City/State', 'Owner City']);
+    const saleDate = findValue(['Sale Date', 'Deed Date']);
+
+    return {
+      assessedValue: parseCurrency(findValue(['Net Taxable Value', 'Net Value', 'Total Assessment', 'Total'])),
+      landValue: parseCurrency(findValue(['Land Value', 'Land Val', 'Land'])),
+      improvementValue: parseCurrency(findValue(['Improvement Value', 'Impr Val', 'Improvement'])),
+      propertyClass: findValue(['Class', 'Property Class', 'Prop Class']),
+      yearBuilt: parseInt2(findValue(['Yr Built', 'Year Built', 'Yr. Built'])),
+      squareFeet: parseInt2(findValue(['Sq Ft', 'Square Feet', 'Bldg Sq Ft'])),
+      lotSize: findValue(['Acreage', 'Lot Size', 'Land Desc']),
+      ownerName: findValue(['Owner', 'Owner Name']),
+      ownerMailingAddress: [street, cityState].filter(Boolean).join(', ') || null,
+      lastSaleDate: saleDate && /\d/.test(saleDate) ? saleDate : null,
+      lastSalePrice: parseCurrency(findValue(['Price', 'Sale Price', 'Consideration'])),
+      block: findValue(['Block']),
+      lot: findValue(['Lot']),
+      qualifier: findValue(['Qual', 'Qualifier']) || null
+    };
+  });
+}
+
+// Batch enrich Camden County properties
+async function enrichCases(cases, options = {}) {
+  return enrichWithCache(cases, { ...options, lookup: enrichPropertyData, scope: 'nj-modiv-camden', keyOf: modivKey });
+}
+
+const adapters = [{
+  id: 'nj-modiv-camden',
+  name: 'NJ MOD-IV Tax Records - Camden County',
+  kind: 'enrichment',
+  counties: ['Camden'],
+  run: ({ items, maxCases, browser, cacheTtlDays, missTtlDays }) => enrichCases(items, { maxCases, browser, cacheTtlDays, missTtlDays })
+}];
+
+module.exports = {
+  enrichCases,
+  enrichPropertyData,
+  extractModivData,
+  districtFor,
+  parseBlockLot,
+  modivKey,
+  CAMDEN_DISTRICTS,
+  CONFIG,
+  adapters
+};
@@ -3,6 +3,12 @@
 // Uses Montgomery County's public assessment records
 
 const puppeteer = require('puppeteer');
+const replay = require('../lib/replay');
+const { openEnrichmentCache, cacheKey } = require('../lib/enrichment-cache');
+const { parcelFromAssessment, applyParcelMatch } = require('../lib/parcel-resolver');
+const { matchParties } = require('../lib/party-names');
+const { estimateEquity } = require('../lib/equity-model');
+const { normalizeAddress } = require('../lib/case-linker');
 
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -11,7 +17,9 @@ const CONFIG = {
   requestDelay: 800,
   batchSize: 5,
   batchPause: 2000,
-  timeout: 30000
+  timeout: 30000,
+  cacheTtlDays: 180,      // Reuse a lookup for this long (see lib/enrichment-cache.js)
+  missTtlDays: 14         // Retry a lookup that found nothing after this long
 };
 
 // Enrich a single case with property data
@@ -29,10 +37,14 @@ async function enrichPropertyData(page, caseData) {
     ownerName: null,
     ownerMailingAddress: null,
     isOwnerOccupied: null,
+    isAbsenteeOwner: null,
+    ownerMatch: null,
     taxStatus: null,
     taxDelinquent: false,
     lastSaleDate: null,
     lastSalePrice: null,
+    parcelNumber: null,
+    parcelCandidates: [],
     enrichmentSource: 'Montgomery County Assessment',
     enrichedAt: new Date().toISOString()
   };
@@ -68,49 +80,64 @@ async function enrichPropertyData(page, caseData) {
       Object.assign(enrichment, data);
     }
     
-    // Determine if owner-occupied by comparing defendant name with owner on record
-    if (enrichment.ownerName && caseData.defendant) {
-      const ownerLower = (enrichment.ownerName || '').toLowerCase();
-      const defendantLower = (caseData.defendant || '').toLowerCase();
-      
-      // Extract last names for comparison
-      const getLastName = (name) => {
-        const parts = name.split(/[\s,]+/).filter(p => p.length > 1);
-        return parts[0] || '';
-      };
-      
-      const ownerLastName = getLastName(ownerLower);
-      const defendantLastName = getLastName(defendantLower);
-      
-      enrichment.isOwnerOccupied = ownerLastName === defendantLastName || 
-                                    ownerLower.includes(defendantLastName) ||
-                                    defendantLower.includes(ownerLastName);
-    }
-    
-    // Check if mailing address matches property address (another owner-occupied indicator)
-    if (enrichment.ownerMailingAddress && caseData.propertyAddress) {
-      const mailingLower = (enrichment.ownerMailingAddress || '').toLowerCase();
-      const propertyLower = (caseData.propertyAddress || '').toLowerCase();
-      
-      // Extract street number for comparison
-      const getStreetNum = (addr) => {
-        const match = addr.match(/^\d+/);
-        return match ? match[0] : '';
-      };
-      
-      if (getStreetNum(mailingLower) === getStreetNum(propertyLower) && 
-          mailingLower.includes(propertyLower.split(' ')[1] || '')) {
-        enrichment.isOwnerOccupied = true;
-      }
-    }
+    applyOwnerOccupancy(enrichment, caseData);
     
   } catch (error) {
     console.log(`     Enrichment error: ${error.message}`);
+    // Tells the caller the site failed, as opposed to having no record
+    enrichment.lookupError = error.message;
   }
   
   return enrichment;
 }
 
+// Owner-occupied / absentee-owner check against the case's defendants and
+// address. Done per case, so a cached lookup is checked against whichever case
+// is using it.
+//   ownerMatch        defendant vs owner of record (see lib/party-names.js)
+//   isOwnerOccupied   a defendant owns it and the mailing address is the property
+//   isAbsenteeOwner   mails go somewhere else, or the owner isn't a defendant
+// Each stays null when there isn't enough data to tell.
+function applyOwnerOccupancy(enrichment, caseData) {
+  enrichment.isOwnerOccupied = null;
+  enrichment.isAbsenteeOwner = null;
+  enrichment.ownerMatch = null;
+  
+  if (enrichment.ownerName && caseData.defendant) {
+    const match = matchParties(caseData.defendant, enrichment.ownerName);
+    enrichment.ownerMatch = {
+      score: match.score,
+      matched: match.matched,
+      reasons: match.reasons,
+      defendant: match.defendant,
+      owner: match.owner
+    };
+  }
+  
+  // Mailing address starts with the property's street address
+  let mailsToProperty = null;
+  if (enrichment.ownerMailingAddress && caseData.propertyAddress) {
+    const mailing = normalizeAddress(enrichment.ownerMailingAddress);
+    const property = normalizeAddress(caseData.propertyAddress);
+    mailsToProperty = !!property && (mailing === property || mailing.startsWith(`${property} `));
+  }
+  
+  const nameMatched = enrichment.ownerMatch ? enrichment.ownerMatch.matched : null;
+  if (nameMatched === false) {
+    enrichment.isOwnerOccupied = false;
+  } else if (mailsToProperty !== null) {
+    enrichment.isOwnerOccupied = mailsToProperty;
+  } else if (nameMatched) {
+    enrichment.isOwnerOccupied = true;
+  }
+  
+  if (mailsToProperty === false) enrichment.isAbsenteeOwner = true;
+  else if (nameMatched === false) enrichment.isAbsenteeOwner = true;
+  else if (mailsToProperty) enrichment.isAbsenteeOwner = false;
+  
+  return enrichment;
+}
+
 // Extract property data from the assessment page
 async function extractPropertyData(page) {
   return await page.evaluate(() => {
@@ -129,7 +156,9 @@ async function extractPropertyData(page) {
       taxStatus: null,
       taxDelinquent: false,
       lastSaleDate: null,
-      lastSalePrice: null
+      lastSalePrice: null,
+      parcelNumber: null,
+      parcelCandidates: []
     };
     
     // Helper to find value by label
@@ -186,6 +215,12 @@ async function extractPropertyData(page) {
     data.lastSaleDate = findValue(['Sale Date', 'Last Sale', 'Transfer Date']);
     data.lastSalePrice = parseCurrency(findValue(['Sale Price', 'Sale Amount', 'Transfer Amount']));
     
+    // Parcel IDs (31-00-12345-00-7) on the page; more than one means the search was ambiguous
+    const parcelIds = document.body.innerText.match(/\b\d{2}-\d{2}-\d{5}-\d{2}-\d\b/g) || [];
+    data.parcelCandidates = [...new Set(parcelIds)];
+    const labeledParcel = findValue(['Parcel ID', 'Parcel Number', 'Parcel', 'PARID']);
+    data.parcelNumber = data.parcelCandidates.find(id => (labeledParcel || '').includes(id)) || data.parcelCandidates[0] || null;
+    
     // Check for tax delinquency
     const pageText = document.body.innerText.toLowerCase();
     data.taxDelinquent = pageText.includes('delinquent') || 
@@ -200,131 +235,153 @@ async function extractPropertyData(page) {
   });
 }
 
-// Batch enrich multiple cases
-async function enrichCases(cases, options = {}) {
-  const { maxCases = 25, onProgress } = options;
+// Run a lookup over a batch of cases, reusing cached results (see
+// lib/enrichment-cache.js) so only new and stale properties need the browser.
+// Shared by every county's enrichment source. options:
+//   lookup(page, caseData) -> enrichment   one live lookup (the enrichPropertyData contract);
+//                                          lookupError is set when the site itself failed
+//   scope                                  replay scope for the lookup's traffic
+//   keyOf(caseData)                        cache key, when parcel/address isn't enough
+//   maxCases                               enrich only the top N cases (null = all)
+//   browser                                reuse an open browser instead of launching one
+//   cacheTtlDays, missTtlDays, onProgress
+// Returns the cases in the same order, each with propertyEnrichment (or null).
+async function enrichWithCache(cases, options = {}) {
+  const {
+    lookup,
+    scope,
+    keyOf = cacheKey,
+    maxCases = null,
+    onProgress,
+    cacheTtlDays = CONFIG.cacheTtlDays,
+    missTtlDays = CONFIG.missTtlDays
+  } = options;
   
-  console.log(`\n🏠 Enriching property data for ${Math.min(cases.length, maxCases)} cases...`);
+  const cache = await openEnrichmentCache({ ttlDays: cacheTtlDays, missTtlDays, keyOf });
+  const casesToEnrich = maxCases ? cases.slice(0, maxCases) : cases;
   
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu'
-    ]
-  });
+  // Fresh cache entries are used as they are; cases with nothing to search by can't be looked up
+  const enrichmentByCase = new Map();
+  const toLookUp = [];
+  for (const caseData of casesToEnrich) {
+    const entry = cache.lookup(caseData);
+    if (entry) enrichmentByCase.set(caseData, applyOwnerOccupancy({ ...entry.enrichment }, caseData));
+    else if (keyOf(caseData)) toLookUp.push(caseData);
+  }
   
-  const page = await browser.newPage();
-  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
+  console.log(`\n🏠 Enriching property data for ${casesToEnrich.length} properties (${enrichmentByCase.size} cached, ${toLookUp.length} to look up)...`);
   
-  // Disable images to speed up
-  await page.setRequestInterception(true);
-  page.on('request', (req) => {
-    if (['image', 'stylesheet', 'font'].includes(req.resourceType())) {
-      req.abort();
-    } else {
-      req.continue();
+  if (toLookUp.length > 0) {
+    const browser = options.browser || await puppeteer.launch({
+      headless: 'new',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu'
+      ]
+    });
+    
+    const page = await browser.newPage();
+    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
+    
+    // Disable images to speed up (replay already intercepts every request)
+    await replay.preparePage(page, scope);
+    if (!replay.isReplaying()) {
+      await page.setRequestInterception(true);
+      page.on('request', (req) => {
+        if (['image', 'stylesheet', 'font'].includes(req.resourceType())) {
+          req.abort();
+        } else {
+          req.continue();
+        }
+      });
     }
-  });
-  
-  const enrichedCases = [];
-  const casesToEnrich = cases.slice(0, maxCases);
-  
-  try {
-    for (let i = 0; i < casesToEnrich.length; i++) {
-      const caseData = casesToEnrich[i];
-      
-      if (i > 0 && i % CONFIG.batchSize === 0) {
-        console.log('   ⏸ Batch pause...');
-        await delay(CONFIG.batchPause);
-      }
-      
-      await delay(CONFIG.requestDelay);
-      
-      const enrichment = await enrichPropertyData(page, caseData);
-      
-      const enrichedCase = {
-        ...caseData,
-        propertyEnrichment: enrichment
-      };
-      
-      enrichedCases.push(enrichedCase);
-      
-      const value = enrichment.assessedValue 
-        ? `$${enrichment.assessedValue.toLocaleString()}` 
-        : 'No data';
-      const type = enrichment.propertyType || 'Unknown';
-      
-      console.log(`   ${i + 1}/${casesToEnrich.length} ✓ ${caseData.propertyAddress || 'Property'} - ${value} (${type})`);
-      
-      if (onProgress) {
-        onProgress(i + 1, casesToEnrich.length, enrichedCase);
+    
+    try {
+      for (let i = 0; i < toLookUp.length; i++) {
+        const caseData = toLookUp[i];
+        
+        if (i > 0 && i % CONFIG.batchSize === 0) {
+          console.log('   ⏸ Batch pause...');
+          await delay(CONFIG.batchPause);
+        }
+        
+        await delay(CONFIG.requestDelay);
+        
+        const enrichment = await lookup(page, caseData);
+        
+        // A timeout or block says nothing about the property: keep what the cache
+        // had, however old, and don't store anything so the next run tries again
+        if (enrichment.lookupError) {
+          const previous = cache.previous(caseData);
+          if (previous?.found) enrichmentByCase.set(caseData, applyOwnerOccupancy({ ...previous.enrichment }, caseData));
+          console.log(`   ${i + 1}/${toLookUp.length} ✗ ${caseData.propertyAddress || 'Property'} - lookup failed${previous?.found ? `, using data from ${previous.fetchedAt.slice(0, 10)}` : ''}`);
+          if (onProgress) onProgress(i + 1, toLookUp.length, { ...caseData, propertyEnrichment: enrichmentByCase.get(caseData) || null });
+          continue;
+        }
+        enrichmentByCase.set(caseData, enrichment);
+        
+        const value = enrichment.assessedValue 
+          ? `$${enrichment.assessedValue.toLocaleString()}` 
+          : 'No data';
+        const type = enrichment.propertyType || 'Unknown';
+        
+        console.log(`   ${i + 1}/${toLookUp.length} ✓ ${caseData.propertyAddress || 'Property'} - ${value} (${type})`);
+        
+        // Owner or last sale moved since the previous lookup
+        for (const event of cache.store(caseData, enrichment)) {
+          console.log(`      🔔 ${event.field} changed: ${event.from} → ${event.to}`);
+        }
+        
+        if (onProgress) {
+          onProgress(i + 1, toLookUp.length, { ...caseData, propertyEnrichment: enrichment });
+        }
       }
+    } catch (error) {
+      console.error(`Enrichment error: ${error.message}`);
+    } finally {
+      await replay.settle();
+      if (options.browser) await page.close();
+      else await browser.close();
+      await cache.save();
     }
-  } catch (error) {
-    console.error(`Enrichment error: ${error.message}`);
-  } finally {
-    await browser.close();
   }
   
-  // Add non-enriched cases back
-  const remainingCases = cases.slice(maxCases).map(c => ({
-    ...c,
-    propertyEnrichment: null
-  }));
+  const enrichedCases = cases.map(c => ({ ...c, propertyEnrichment: enrichmentByCase.get(c) || null }));
   
-  console.log(`✅ Enriched ${enrichedCases.length} cases with property data`);
+  const enrichedCount = enrichedCases.filter(c => c.propertyEnrichment).length;
+  console.log(`✅ Enriched ${enrichedCount} properties with property data (${cache.newEvents} owner/sale changes)`);
   
-  return [...enrichedCases, ...remainingCases];
+  return enrichedCases;
 }
 
-// Calculate equity estimate
-function estimateEquity(caseData) {
-  const enrichment = caseData.propertyEnrichment;
-  if (!enrichment?.assessedValue) return null;
-  
-  // Assessment is typically 85-100% of market value in PA
-  // Use 90% as a conservative estimate
-  const estimatedMarketValue = enrichment.assessedValue * 1.1;
-  
-  // We don't have mortgage balance, but can use plaintiff (lender) info
-  // as a rough indicator of loan type
-  const plaintiff = (caseData.plaintiff || '').toLowerCase();
-  
-  let estimatedLTV = 0.80; // Default assumption: 80% LTV
-  
-  // FHA/VA loans often have higher LTV
-  if (plaintiff.includes('hud') || plaintiff.includes('fha') || 
-      plaintiff.includes('va ') || plaintiff.includes('veterans')) {
-    estimatedLTV = 0.95;
-  }
+// Batch enrich Montgomery County cases
+async function enrichCases(cases, options = {}) {
+  const enrichedCases = await enrichWithCache(cases, { ...options, lookup: enrichPropertyData, scope: 'montco-assessment' });
   
-  // Subprime indicators
-  if (plaintiff.includes('freedom') || plaintiff.includes('nationstar') ||
-      plaintiff.includes('ocwen') || plaintiff.includes('caliber')) {
-    estimatedLTV = 0.90;
+  // An address search that landed on a parcel resolves the case's parcel number
+  for (const c of enrichedCases) {
+    if (c.propertyEnrichment) applyParcelMatch(c, parcelFromAssessment(c.propertyEnrichment, c));
   }
-  
-  const estimatedMortgage = estimatedMarketValue * estimatedLTV;
-  const estimatedEquity = estimatedMarketValue - estimatedMortgage;
-  
-  return {
-    estimatedMarketValue: Math.round(estimatedMarketValue),
-    assessedValue: enrichment.assessedValue,
-    estimatedLTV,
-    estimatedMortgage: Math.round(estimatedMortgage),
-    estimatedEquity: Math.round(estimatedEquity),
-    equityPercent: Math.round((1 - estimatedLTV) * 100),
-    confidence: enrichment.assessedValue > 50000 ? 'medium' : 'low',
-    note: 'Estimate based on assessment value and typical LTV. Actual equity may vary significantly.'
-  };
+  return enrichedCases;
 }
 
+const adapters = [{
+  id: 'montco-assessment',
+  name: 'Montgomery County Assessment',
+  kind: 'enrichment',
+  counties: ['Montgomery'],
+  run: ({ items, maxCases, browser, cacheTtlDays, missTtlDays }) => enrichCases(items, { maxCases, browser, cacheTtlDays, missTtlDays })
+}];
+
 module.exports = { 
   enrichCases, 
+  enrichWithCache,
   enrichPropertyData, 
+  extractPropertyData,
+  applyOwnerOccupancy,
   estimateEquity,
-  CONFIG 
+  CONFIG,
+  adapters
 };
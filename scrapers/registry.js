@@ -0,0 +1,144 @@
+// Source adapter registry
+//
+// Every scraper module in this directory can export an `adapters` array. An adapter is:
+//   {
+//     id:   'civilview-camden',             // unique, used in config and output
+//     name: 'CivilView - Camden County, NJ', // human readable
+//     kind: 'sheriff-sale' | 'court-pipeline' | 'enrichment',
+//     run:  async (options) => items         // items in the normalized schema for its kind
+//   }
+// Enrichment adapters also list the counties they cover (counties: ['Camden']) and
+// return their items in the order they were given.
+//
+// Adapters only run when enabled in CONFIG.sources, so a new county or court
+// is a new module (or a new entry in an existing one) plus one line of config.
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+
+const KINDS = ['sheriff-sale', 'court-pipeline', 'enrichment'];
+
+// Fields every item must carry for the rest of the app (API, history, linking) to work
+const REQUIRED_FIELDS = {
+  'sheriff-sale': ['propertyId', 'source', 'county', 'address', 'debtAmount'],
+  'court-pipeline': ['caseNumber', 'county', 'leadScore', 'leadGrade'],
+  'enrichment': ['propertyEnrichment']
+};
+
+let adapters = null;
+
+function loadAdapters() {
+  if (adapters) return adapters;
+  adapters = new Map();
+
+  const files = fs.readdirSync(__dirname)
+    .filter(f => f.endsWith('.js') && f !== path.basename(__filename))
+    .sort();
+
+  for (const file of files) {
+    const mod = require(path.join(__dirname, file));
+    for (const adapter of mod.adapters || []) {
+      if (!adapter.id || !KINDS.includes(adapter.kind) || typeof adapter.run !== 'function') {
+        throw new Error(`Invalid source adapter in ${file}: ${adapter.id || '(no id)'}`);
+      }
+      if (adapters.has(adapter.id)) {
+        throw new Error(`Duplicate source adapter id: ${adapter.id}`);
+      }
+      adapters.set(adapter.id, adapter);
+    }
+  }
+  return adapters;
+}
+
+function getAdapter(id) {
+  return loadAdapters().get(id) || null;
+}
+
+function listAdapters(kind) {
+  return [...loadAdapters().values()].filter(a => !kind || a.kind === kind);
+}
+
+function isEnabled(adapter) {
+  return CONFIG.sources[adapter.id]?.enabled === true;
+}
+
+// Enabled adapters of a kind, in config order
+function getEnabledAdapters(kind) {
+  const order = Object.keys(CONFIG.sources);
+  return listAdapters(kind)
+    .filter(isEnabled)
+    .sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+}
+
+const coversCounty = (adapter, county) => !adapter.counties || adapter.counties.includes(county);
+
+// Enrich a mixed list with the enabled enrichment source for each item's county.
+// Pipeline cases and sheriff sale properties both work: sources read
+// propertyAddress / propertyCity, so properties get those from address / city for
+// the lookup. Items no source covers come back unchanged.
+// Returns { items, reports } with reports keyed by adapter id.
+async function runEnrichment(items, options = {}) {
+  const results = new Map();
+  const reports = {};
+
+  for (const adapter of getEnabledAdapters('enrichment')) {
+    const covered = items.filter(item => !results.has(item) && coversCounty(adapter, item.county));
+    if (covered.length === 0) continue;
+
+    const views = covered.map(item => ({
+      ...item,
+      propertyAddress: item.propertyAddress ?? item.address,
+      propertyCity: item.propertyCity ?? item.city
+    }));
+    const { items: enriched, report } = await runAdapter(adapter, { ...options, items: views });
+
+    // A failed source leaves its items as they were
+    if (report.status === 'ok') {
+      covered.forEach((item, i) => {
+        const { propertyAddress, propertyCity, ...rest } = enriched[i];
+        results.set(item, { ...rest, ...(item.propertyAddress !== undefined && { propertyAddress, propertyCity }) });
+      });
+    }
+    report.count = enriched.filter(e => e.propertyEnrichment).length;
+    reports[adapter.id] = report;
+  }
+
+  return { items: items.map(item => results.get(item) || item), reports };
+}
+
+// Run one adapter and report on it for the `sources` block of the output.
+// A failing source never takes the whole run down with it.
+async function runAdapter(adapter, options = {}) {
+  const started = Date.now();
+  const report = { name: adapter.name, kind: adapter.kind, status: 'ok', count: 0, durationMs: 0, error: null };
+  let items = [];
+
+  try {
+    items = await adapter.run({ ...(CONFIG.sources[adapter.id]?.options || {}), ...options }) || [];
+
+    const required = REQUIRED_FIELDS[adapter.kind];
+    const invalid = items.filter(item => required.some(field => item[field] === undefined));
+    if (invalid.length > 0) {
+      console.log(`   ⚠️ ${adapter.id}: ${invalid.length} item(s) missing required fields (${required.join(', ')})`);
+    }
+
+    report.count = items.length;
+  } catch (error) {
+    console.error(`   ❌ Source ${adapter.id} failed: ${error.message}`);
+    report.status = 'error';
+    report.error = error.message;
+  }
+
+  report.durationMs = Date.now() - started;
+  return { items, report };
+}
+
+module.exports = {
+  getAdapter,
+  listAdapters,
+  getEnabledAdapters,
+  runAdapter,
+  runEnrichment,
+  KINDS
+};
@@ -3,7 +3,25 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
 const { runScraper, CONFIG } = require('./scraper');
-const { runPipelineScraper, OUTPUT_FILE: PIPELINE_FILE } = require('./pipeline-scraper');
+const { runPipelineScraper, rescorePipeline, OUTPUT_FILE: PIPELINE_FILE } = require('./pipeline-scraper');
+const { CONFIG: COURTS_CONFIG } = require('./scrapers/montco-courts');
+const historyStore = require('./lib/history-store');
+const { mergeChangeSets, summarizeChanges } = require('./lib/change-detector');
+const { findSaleListing, findPipelineCase, buildLifecycle, summarizeProperty, summarizeCase } = require('./lib/case-linker');
+const { readCheckpoint } = require('./lib/checkpoint');
+const { getFailures } = require('./lib/failure-ledger');
+const { getDocket } = require('./lib/docket-store');
+const { classifyDocket } = require('./lib/docket-classifier');
+const { loadScoringRules, saveScoringRules, listScoringRuleVersions } = require('./lib/scoring-rules');
+const { refreshOutcomes, getOutcomes } = require('./lib/outcome-tracker');
+const { runBacktest } = require('./lib/backtest');
+const { applySaleScores } = require('./lib/sale-scoring');
+const { ageCase, ageCases } = require('./lib/case-aging');
+const { withLeadType } = require('./lib/estate-detection');
+const { getEnrichmentEvents } = require('./lib/enrichment-cache');
+const { plaintiffAnalytics } = require('./lib/plaintiff-analytics');
+const { estimateEquity } = require('./lib/equity-model');
+const { analyzeDeal, parseDealInputs } = require('./lib/deal-analyzer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -22,6 +40,38 @@ async function ensureDataDir() {
   try { await fs.mkdir(CONFIG.outputDir, { recursive: true }); } catch (e) {}
 }
 
+// Current output file plus everything the history store has seen, so links still
+// resolve after a case leaves the CSV or a sold listing drops off CivilView
+async function loadKnownRecords(collection, file, listField, keyField) {
+  const known = new Map();
+  for (const record of await historyStore.getRecords(collection)) known.set(record.key, record.current);
+  try {
+    const jsonData = JSON.parse(await fs.readFile(file, 'utf8'));
+    for (const item of jsonData[listField] || []) known.set(item[keyField], item);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  return [...known.values()];
+}
+
+// Changes recorded by every run after `since` (defaults to the last 24 hours)
+async function sendChanges(collection, req, res) {
+  try {
+    const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    if (isNaN(since)) return res.status(400).json({ error: 'Invalid since parameter' });
+    const changeSets = await historyStore.getChangesSince(collection, since);
+    const changes = mergeChangeSets(changeSets);
+    res.json({
+      since: since.toISOString(),
+      runs: changeSets.map(set => ({ runId: set.runId, capturedAt: set.capturedAt, partial: set.partial })),
+      summary: summarizeChanges(changes),
+      changes
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
 app.post('/api/auth', (req, res) => {
   const { password } = req.body;
   if (password === SITE_PASSWORD) res.json({ success: true });
@@ -107,6 +157,21 @@ app.get('/api/properties', checkAuth, async (req, res) => {
     const jsonData = JSON.parse(data);
     let properties = jsonData.properties;
     
+    // Days until the sale move every day, so listings are scored on the way out
+    // (the same goes for listings saved before sale scoring existed)
+    applySaleScores(properties, await loadKnownRecords('pipeline', PIPELINE_DATA_FILE, 'cases', 'caseNumber'));
+    properties = properties.map(withLeadType);
+    
+    if (req.query.grade) {
+      const grades = req.query.grade.toUpperCase().split(',');
+      properties = properties.filter(p => grades.includes(p.leadGrade));
+    }
+    // leadType=probate - estate / heir listings (lib/estate-detection.js)
+    if (req.query.leadType) {
+      const types = req.query.leadType.toLowerCase().split(',');
+      properties = properties.filter(p => types.includes(p.leadType));
+    }
+    if (req.query.minScore) properties = properties.filter(p => (p.leadScore || 0) >= parseInt(req.query.minScore));
     if (req.query.maxDebt) properties = properties.filter(p => p.debtAmount <= parseFloat(req.query.maxDebt));
     if (req.query.county) properties = properties.filter(p => p.county === req.query.county);
     if (req.query.city) properties = properties.filter(p => p.city.toLowerCase().includes(req.query.city.toLowerCase()));
@@ -117,6 +182,8 @@ app.get('/api/properties', checkAuth, async (req, res) => {
     properties.sort((a, b) => {
       if (sortBy === 'debtAmount') return (a.debtAmount - b.debtAmount) * sortOrder;
       if (sortBy === 'salesDate') return (new Date(a.salesDate) - new Date(b.salesDate)) * sortOrder;
+      if (sortBy === 'leadScore') return ((a.leadScore || 0) - (b.leadScore || 0)) * sortOrder;
+      if (sortBy === 'daysUntilSale') return ((a.daysUntilSale ?? Infinity) - (b.daysUntilSale ?? Infinity)) * sortOrder;
       return 0;
     });
     
@@ -130,14 +197,48 @@ app.get('/api/properties', checkAuth, async (req, res) => {
   }
 });
 
+app.get('/api/properties/changes', checkAuth, (req, res) => sendChanges('properties', req, res));
+
 app.get('/api/properties/:id', checkAuth, async (req, res) => {
   try {
     const data = await fs.readFile(DATA_FILE, 'utf8');
     const jsonData = JSON.parse(data);
     const property = jsonData.properties.find(p => p.propertyId === req.params.id);
-    if (property) res.json(property);
-    else res.status(404).json({ error: 'Property not found' });
+    if (!property) return res.status(404).json({ error: 'Property not found' });
+    
+    const cases = await loadKnownRecords('pipeline', PIPELINE_DATA_FILE, 'cases', 'caseNumber');
+    applySaleScores([property], cases);
+    const link = findPipelineCase(property, cases);
+    res.json({
+      ...property,
+      linkedCase: link ? summarizeCase(link.caseData, link) : null,
+      lifecycle: buildLifecycle(link?.caseData, property)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ARV, repairs and maximum allowable offer (lib/deal-analyzer.js); query values override the inputs
+app.get('/api/properties/:id/deal', checkAuth, async (req, res) => {
+  try {
+    const data = await fs.readFile(DATA_FILE, 'utf8');
+    const jsonData = JSON.parse(data);
+    const property = jsonData.properties.find(p => p.propertyId === req.params.id);
+    if (!property) return res.status(404).json({ error: 'Property not found' });
+    
+    // Listings in counties we don't enrich borrow the linked case's enrichment
+    const cases = await loadKnownRecords('pipeline', PIPELINE_DATA_FILE, 'cases', 'caseNumber');
+    const link = findPipelineCase(property, cases);
+    const record = withLeadType({
+      ...property,
+      propertyEnrichment: property.propertyEnrichment || link?.caseData.propertyEnrichment
+    });
+    const deal = analyzeDeal(record, { saleListing: property, inputs: parseDealInputs(req.query) });
+    if (deal.error) return res.status(422).json(deal);
+    res.json({ propertyId: property.propertyId, address: property.address, ...deal });
   } catch (error) {
+    if (error.validation) return res.status(400).json({ error: 'Invalid deal inputs', details: error.validation });
     res.status(500).json({ error: error.message });
   }
 });
@@ -178,7 +279,7 @@ app.post('/api/scrape', checkAuth, async (req, res) => {
   lastScrapeStatus = { started: new Date().toISOString(), status: 'running' };
   res.json({ message: 'Scrape started', status: lastScrapeStatus });
   try {
-    const properties = await runScraper();
+    const properties = await runScraper({ full: req.body.full === true, retryFailed: req.body.retryFailed === true });
     lastScrapeStatus = { completed: new Date().toISOString(), status: 'completed', propertiesFound: properties.length };
   } catch (error) {
     lastScrapeStatus = { completed: new Date().toISOString(), status: 'error', error: error.message };
@@ -191,13 +292,36 @@ app.get('/api/scrape/status', checkAuth, (req, res) => {
   res.json({ inProgress: isScrapingInProgress, lastStatus: lastScrapeStatus });
 });
 
+// Cases/properties that failed to scrape, and why. POST { retryFailed: true } to
+// /api/scrape or /api/pipeline/scrape re-runs just these.
+app.get('/api/scrape/failures', checkAuth, async (req, res) => {
+  try {
+    const collections = req.query.collection ? [req.query.collection] : ['pipeline', 'properties'];
+    const result = {};
+    for (const collection of collections) {
+      const failures = await getFailures(collection);
+      const byType = {};
+      failures.forEach(f => byType[f.type] = (byType[f.type] || 0) + 1);
+      result[collection] = { total: failures.length, byType, failures };
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/export/csv', checkAuth, async (req, res) => {
   try {
     const data = await fs.readFile(DATA_FILE, 'utf8');
     const jsonData = JSON.parse(data);
-    const headers = ['Address', 'City', 'State', 'Zip', 'Debt Amount', 'Defendant', 'Plaintiff', 'Sheriff #', 'Court Case', 'Sale Date', 'Status', 'Attorney', 'County', 'URL'];
+    applySaleScores(jsonData.properties, await loadKnownRecords('pipeline', PIPELINE_DATA_FILE, 'cases', 'caseNumber'));
+    const headers = ['Lead Grade', 'Lead Score', 'Address', 'City', 'State', 'Zip', 'Debt Amount', 'Assessed Value', 'Owner of Record', 'Owner Match', 'Owner Occupied', 'Absentee Owner', 'Defendant', 'Plaintiff', 'Sheriff #', 'Court Case', 'Sale Date', 'Status', 'Attorney', 'County', 'URL'];
     const rows = jsonData.properties.map(p => [
-      `"${p.address}"`, p.city, p.state, p.zipCode, p.debtAmount,
+      p.leadGrade || '', p.leadScore ?? '', `"${p.address}"`, p.city, p.state, p.zipCode, p.debtAmount,
+      p.propertyEnrichment?.assessedValue ?? '', `"${(p.propertyEnrichment?.ownerName || '').replace(/"/g, '""')}"`,
+      p.propertyEnrichment?.ownerMatch?.score ?? '',
+      p.propertyEnrichment?.isOwnerOccupied === true ? 'Yes' : p.propertyEnrichment?.isOwnerOccupied === false ? 'No' : '',
+      p.propertyEnrichment?.isAbsenteeOwner === true ? 'Yes' : p.propertyEnrichment?.isAbsenteeOwner === false ? 'No' : '',
       `"${(p.defendant || '').replace(/"/g, '""')}"`, `"${(p.plaintiff || '').replace(/"/g, '""')}"`,
       p.sheriffNumber, p.courtCase, p.salesDate, p.status, `"${(p.attorney || '').replace(/"/g, '""')}"`, p.county, p.detailUrl
     ]);
@@ -216,14 +340,19 @@ app.get('/api/pipeline', checkAuth, async (req, res) => {
   try {
     const data = await fs.readFile(PIPELINE_DATA_FILE, 'utf8');
     const jsonData = JSON.parse(data);
-    let cases = jsonData.cases;
+    // Ages are worked out as of now, not when the case was scraped
+    let cases = ageCases(jsonData.cases).map(withLeadType);
     
     if (req.query.grade) {
       const grades = req.query.grade.toUpperCase().split(',');
       cases = cases.filter(c => grades.includes(c.leadGrade));
     }
+    if (req.query.leadType) {
+      const types = req.query.leadType.toLowerCase().split(',');
+      cases = cases.filter(c => types.includes(c.leadType));
+    }
     if (req.query.minScore) cases = cases.filter(c => (c.leadScore || 0) >= parseInt(req.query.minScore));
-    if (req.query.status) cases = cases.filter(c => c.status.toLowerCase().includes(req.query.status.toLowerCase()));
+    if (req.query.status) cases = cases.filter(c => (c.status || '').toLowerCase().includes(req.query.status.toLowerCase()));
     if (req.query.hasJudgement === 'true') cases = cases.filter(c => c.hasJudgement);
     else if (req.query.hasJudgement === 'false') cases = cases.filter(c => !c.hasJudgement);
     if (req.query.hasDefendantAttorney === 'true') cases = cases.filter(c => c.docketSummary?.hasDefendantAttorney);
@@ -231,6 +360,13 @@ app.get('/api/pipeline', checkAuth, async (req, res) => {
     if (req.query.hasDefendantResponse === 'true') cases = cases.filter(c => c.docketSummary?.hasDefendantResponse);
     else if (req.query.hasDefendantResponse === 'false') cases = cases.filter(c => !c.docketSummary?.hasDefendantResponse);
     if (req.query.hasDefaultMotion === 'true') cases = cases.filter(c => c.docketSummary?.hasDefaultMotion);
+    if (req.query.hasBankruptcy === 'true') cases = cases.filter(c => c.docketSummary?.hasBankruptcy);
+    else if (req.query.hasBankruptcy === 'false') cases = cases.filter(c => !c.docketSummary?.hasBankruptcy);
+    // docketEvent=default-motion,conciliation - cases with at least one entry in any listed category
+    if (req.query.docketEvent) {
+      const categories = req.query.docketEvent.toLowerCase().split(',');
+      cases = cases.filter(c => categories.some(cat => c.docketSummary?.byCategory?.[cat] > 0));
+    }
     if (req.query.minDaysOpen) cases = cases.filter(c => (c.daysOpen || 0) >= parseInt(req.query.minDaysOpen));
     if (req.query.maxDaysOpen) cases = cases.filter(c => (c.daysOpen || 0) <= parseInt(req.query.maxDaysOpen));
     if (req.query.city) cases = cases.filter(c => (c.propertyCity || '').toLowerCase().includes(req.query.city.toLowerCase()));
@@ -254,11 +390,13 @@ app.get('/api/pipeline', checkAuth, async (req, res) => {
   }
 });
 
+app.get('/api/pipeline/changes', checkAuth, (req, res) => sendChanges('pipeline', req, res));
+
 app.get('/api/pipeline/stats', checkAuth, async (req, res) => {
   try {
     const data = await fs.readFile(PIPELINE_DATA_FILE, 'utf8');
     const jsonData = JSON.parse(data);
-    const cases = jsonData.cases || [];
+    const cases = ageCases(jsonData.cases);
     const stats = jsonData.statistics || { total: cases.length, byGrade: { A: 0, B: 0, C: 0, D: 0, F: 0 } };
     stats.lastUpdated = jsonData.lastUpdated;
     stats.sources = jsonData.sources;
@@ -266,14 +404,20 @@ app.get('/api/pipeline/stats', checkAuth, async (req, res) => {
       stats.byGrade = { A: 0, B: 0, C: 0, D: 0, F: 0 };
       cases.forEach(c => stats.byGrade[c.leadGrade || 'C']++);
     }
-    if (!stats.avgDaysOpen && cases.length) {
+    if (cases.length) {
       stats.avgDaysOpen = Math.round(cases.reduce((sum, c) => sum + (c.daysOpen || 0), 0) / cases.length);
     }
+    stats.inSweetSpot = cases.filter(c => c.inSweetSpot).length;
+    stats.probate = cases.map(withLeadType).filter(c => c.leadType === 'probate').length;
     if (!stats.avgLeadScore && cases.length) {
       stats.avgLeadScore = Math.round(cases.reduce((sum, c) => sum + (c.leadScore || 0), 0) / cases.length);
     }
     stats.noDefendantResponse = cases.filter(c => !c.docketSummary?.hasDefendantResponse).length;
     stats.noDefendantAttorney = cases.filter(c => !c.docketSummary?.hasDefendantAttorney).length;
+    stats.byDocketEvent = {};
+    cases.forEach(c => Object.keys(c.docketSummary?.byCategory || {}).forEach(cat => {
+      stats.byDocketEvent[cat] = (stats.byDocketEvent[cat] || 0) + 1;
+    }));
     res.json(stats);
   } catch (error) {
     res.json({ lastUpdated: null, total: 0, sources: {}, byGrade: { A: 0, B: 0, C: 0, D: 0, F: 0 } });
@@ -284,9 +428,86 @@ app.get('/api/pipeline/case/:caseNumber', checkAuth, async (req, res) => {
   try {
     const data = await fs.readFile(PIPELINE_DATA_FILE, 'utf8');
     const jsonData = JSON.parse(data);
-    const caseData = jsonData.cases.find(c => c.caseNumber === req.params.caseNumber);
-    if (caseData) res.json(caseData);
-    else res.status(404).json({ error: 'Case not found' });
+    const stored = jsonData.cases.find(c => c.caseNumber === req.params.caseNumber);
+    if (!stored) return res.status(404).json({ error: 'Case not found' });
+    const caseData = withLeadType(ageCase(stored));
+    
+    const properties = await loadKnownRecords('properties', DATA_FILE, 'properties', 'propertyId');
+    const link = findSaleListing(caseData, properties);
+    res.json({
+      ...caseData,
+      // Factor-level explanation of the last score move (lib/score-diff.js)
+      scoreChange: caseData.scoreChange || null,
+      linkedSaleListing: link ? summarizeProperty(link.property, link) : null,
+      lifecycle: buildLifecycle(caseData, link?.property),
+      // Arrears grow every day, so the estimate is worked out as of now (lib/equity-model.js)
+      equityEstimate: estimateEquity(caseData, { saleListing: link?.property }) || caseData.equityEstimate || null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/pipeline/case/:caseNumber/deal', checkAuth, async (req, res) => {
+  try {
+    const data = await fs.readFile(PIPELINE_DATA_FILE, 'utf8');
+    const jsonData = JSON.parse(data);
+    const stored = jsonData.cases.find(c => c.caseNumber === req.params.caseNumber);
+    if (!stored) return res.status(404).json({ error: 'Case not found' });
+    const caseData = withLeadType(stored);
+    
+    const properties = await loadKnownRecords('properties', DATA_FILE, 'properties', 'propertyId');
+    const link = findSaleListing(caseData, properties);
+    const deal = analyzeDeal(caseData, { saleListing: link?.property, inputs: parseDealInputs(req.query) });
+    if (deal.error) return res.status(422).json(deal);
+    res.json({ caseNumber: caseData.caseNumber, address: caseData.propertyAddress || null, ...deal });
+  } catch (error) {
+    if (error.validation) return res.status(400).json({ error: 'Invalid deal inputs', details: error.validation });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Every snapshot we've stored for a case, oldest first
+app.get('/api/pipeline/case/:caseNumber/history', checkAuth, async (req, res) => {
+  try {
+    const record = await historyStore.getRecord('pipeline', req.params.caseNumber);
+    if (!record) return res.status(404).json({ error: 'Case not found' });
+    const snapshots = await historyStore.getSnapshots('pipeline', req.params.caseNumber);
+    res.json({
+      caseNumber: record.key,
+      firstSeen: record.firstSeen,
+      lastSeen: record.lastSeen,
+      active: record.active,
+      droppedAt: record.droppedAt,
+      runCount: record.runCount,
+      snapshots: snapshots.map(s => ({ runId: s.runId, capturedAt: s.capturedAt, ...s.data }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Full docket for a case, oldest filing first
+app.get('/api/pipeline/case/:caseNumber/docket', checkAuth, async (req, res) => {
+  try {
+    const docket = await getDocket(req.params.caseNumber);
+    if (!docket) return res.status(404).json({ error: 'No docket stored for this case' });
+    res.json({
+      caseNumber: docket.caseNumber,
+      detailUrl: docket.detailUrl,
+      updatedAt: docket.updatedAt,
+      totalEntries: docket.entries.length,
+      entries: classifyDocket(docket.entries).events.map(({ matches, ...e }) => e)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/pipeline/runs', checkAuth, async (req, res) => {
+  try {
+    const runs = await historyStore.listRuns('pipeline');
+    res.json({ totalRuns: runs.length, runs: runs.slice().reverse() });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -295,14 +516,30 @@ app.get('/api/pipeline/case/:caseNumber', checkAuth, async (req, res) => {
 let isPipelineScrapingInProgress = false;
 let lastPipelineScrapeStatus = null;
 
+// A rescore rewrites pipeline.json and the history store's current records, the
+// same files a scrape writes, so neither may start while the other is running
+let isPipelineRescoreInProgress = false;
+
+async function runPipelineRescore() {
+  isPipelineRescoreInProgress = true;
+  try {
+    return await rescorePipeline();
+  } finally {
+    isPipelineRescoreInProgress = false;
+  }
+}
+
 app.post('/api/pipeline/scrape', checkAuth, async (req, res) => {
   if (isPipelineScrapingInProgress) {
     return res.status(429).json({ error: 'Pipeline scrape already in progress', status: lastPipelineScrapeStatus });
   }
+  if (isPipelineRescoreInProgress) {
+    return res.status(429).json({ error: 'Pipeline rescore in progress - scrape after it finishes' });
+  }
   
-  // Check if CSV exists
+  // Cases normally come from the court's advanced search; only a CSV-only setup needs the upload
   try {
-    await fs.access(CSV_FILE);
+    if (COURTS_CONFIG.caseSource === 'csv') await fs.access(CSV_FILE);
   } catch (e) {
     return res.status(400).json({ 
       error: 'No CSV file found. Please upload a CSV export from the Montgomery County court website first.',
@@ -319,8 +556,10 @@ app.post('/api/pipeline/scrape', checkAuth, async (req, res) => {
   try {
     const options = {
       enableEnrichment: req.body.enableEnrichment !== false,
-      maxCasesToEnrich: req.body.maxCasesToEnrich || 25,
-      testMode: testMode
+      maxCasesToEnrich: req.body.maxCasesToEnrich || null,
+      testMode: testMode,
+      resume: req.body.resume === true,
+      retryFailed: req.body.retryFailed === true
     };
     const cases = await runPipelineScraper(options);
     const grades = { A: 0, B: 0, C: 0, D: 0, F: 0 };
@@ -334,22 +573,157 @@ app.post('/api/pipeline/scrape', checkAuth, async (req, res) => {
   }
 });
 
-app.get('/api/pipeline/scrape/status', checkAuth, (req, res) => {
-  res.json({ inProgress: isPipelineScrapingInProgress, lastStatus: lastPipelineScrapeStatus });
+app.get('/api/pipeline/scrape/status', checkAuth, async (req, res) => {
+  try {
+    // An unfinished run leaves a checkpoint behind; POST { resume: true } continues it
+    const saved = isPipelineScrapingInProgress ? null : await readCheckpoint('pipeline');
+    const checkpoint = saved ? { startedAt: saved.startedAt, updatedAt: saved.updatedAt, casesDone: Object.keys(saved.completed).length } : null;
+    res.json({ inProgress: isPipelineScrapingInProgress, lastStatus: lastPipelineScrapeStatus, checkpoint });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scoring rules (lib/scoring-rules.js). PUT takes { rules, note, replace, rescore }:
+// rules are merged into the current version unless replace is set, and every
+// save is a new version. rescore: true re-grades stored cases straight away.
+app.get('/api/pipeline/scoring-rules', checkAuth, async (req, res) => {
+  try {
+    res.json(await loadScoringRules());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/pipeline/scoring-rules/versions', checkAuth, async (req, res) => {
+  try {
+    res.json({ versions: await listScoringRuleVersions() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/pipeline/scoring-rules', checkAuth, async (req, res) => {
+  if (!req.body.rules || typeof req.body.rules !== 'object') {
+    return res.status(400).json({ error: 'Body must include a rules object' });
+  }
+  try {
+    const saved = await saveScoringRules(req.body.rules, { note: req.body.note, replace: req.body.replace === true });
+    const canRescore = !isPipelineScrapingInProgress && !isPipelineRescoreInProgress;
+    const rescore = req.body.rescore === true && canRescore ? await runPipelineRescore() : null;
+    res.json({ ...saved, rescore });
+  } catch (error) {
+    if (error.validation) return res.status(400).json({ error: 'Invalid scoring rules', details: error.validation });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-grade stored cases with the current scoring rules, without scraping
+app.post('/api/pipeline/rescore', checkAuth, async (req, res) => {
+  if (isPipelineScrapingInProgress) {
+    return res.status(429).json({ error: 'Pipeline scrape in progress - rescore after it finishes', status: lastPipelineScrapeStatus });
+  }
+  if (isPipelineRescoreInProgress) {
+    return res.status(429).json({ error: 'Pipeline rescore already in progress' });
+  }
+  try {
+    res.json(await runPipelineRescore());
+  } catch (error) {
+    if (error.code === 'ENOENT') return res.status(404).json({ error: 'No pipeline data yet - run a pipeline scrape first' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Owner and last sale changes found when cached property lookups were refreshed
+// (lib/enrichment-cache.js). ?since=ISO date, ?field=ownerName|lastSaleDate|lastSalePrice
+app.get('/api/pipeline/enrichment/events', checkAuth, async (req, res) => {
+  try {
+    if (req.query.since && isNaN(new Date(req.query.since))) return res.status(400).json({ error: 'Invalid since parameter' });
+    const events = await getEnrichmentEvents({ since: req.query.since, field: req.query.field });
+    res.json({ totalEvents: events.length, events });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What happened to graded cases (sheriff sale, sold, settled, ...), see lib/outcome-tracker.js
+app.get('/api/pipeline/outcomes', checkAuth, async (req, res) => {
+  try {
+    const { updatedAt, cases } = await getOutcomes();
+    const counts = {};
+    Object.values(cases).forEach(e => Object.keys(e.outcomes).forEach(type => counts[type] = (counts[type] || 0) + 1));
+    let list = Object.values(cases);
+    if (req.query.outcome) list = list.filter(e => e.outcomes[req.query.outcome]);
+    res.json({ updatedAt, totalCases: Object.keys(cases).length, counts, cases: list });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/pipeline/outcomes/refresh', checkAuth, async (req, res) => {
+  try {
+    res.json(await refreshOutcomes());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Grade vs outcome for a scoring rules version. GET ?version=3&compare=1,2 compares
+// saved versions; POST { version, alternatives: [{ name, rules }], topN } tries
+// unsaved weight sets (rules are patches over the tested version).
+async function sendBacktest(options, res) {
+  try {
+    res.json(await runBacktest(options));
+  } catch (error) {
+    if (/Unknown scoring rules version/.test(error.message)) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.get('/api/pipeline/backtest', checkAuth, (req, res) => sendBacktest({
+  version: req.query.version,
+  topN: req.query.topN ? parseInt(req.query.topN) : undefined,
+  alternatives: (req.query.compare || '').split(',').filter(Boolean).map(version => ({ version }))
+}, res));
+
+app.post('/api/pipeline/backtest', checkAuth, (req, res) => sendBacktest({
+  version: req.body.version,
+  topN: req.body.topN,
+  alternatives: Array.isArray(req.body.alternatives) ? req.body.alternatives : []
+}, res));
+
+// Case counts, days to judgment and sheriff sale conversion by servicer
+// (lib/plaintiff-analytics.js). ?loanType=non-bank, ?minCases=5
+app.get('/api/analytics/plaintiffs', checkAuth, async (req, res) => {
+  try {
+    const inactive = new Set((await historyStore.getRecords('pipeline')).filter(r => r.active === false).map(r => r.key));
+    const cases = (await loadKnownRecords('pipeline', PIPELINE_DATA_FILE, 'cases', 'caseNumber'))
+      .map(c => ({ ...c, active: !inactive.has(c.caseNumber) }));
+    const properties = await loadKnownRecords('properties', DATA_FILE, 'properties', 'propertyId');
+    const servicers = await plaintiffAnalytics(cases, properties, {
+      loanType: req.query.loanType,
+      minCases: req.query.minCases ? parseInt(req.query.minCases) : 1
+    });
+    res.json({ totalCases: cases.length, totalSaleListings: properties.length, servicers });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 app.get('/api/pipeline/export/csv', checkAuth, async (req, res) => {
   try {
     const data = await fs.readFile(PIPELINE_DATA_FILE, 'utf8');
     const jsonData = JSON.parse(data);
-    const headers = ['Lead Grade', 'Lead Score', 'Case Number', 'Commenced Date', 'Days Open', 'Last Filing', 'Plaintiff', 'Defendant', 'Address', 'City', 'State', 'Zip', 'Has Judgement', 'Has Attorney', 'Has Response', 'Status', 'Remarks', 'URL'];
-    const rows = jsonData.cases.map(c => {
+    const headers = ['Lead Grade', 'Lead Score', 'Lead Type', 'Case Number', 'Commenced Date', 'Days Open', 'Last Filing', 'Plaintiff', 'Defendant', 'Address', 'City', 'State', 'Zip', 'Parcel', 'Equity Low', 'Equity High', 'Equity Confidence', 'Has Judgement', 'Has Attorney', 'Has Response', 'Default Motion', 'Bankruptcy', 'Continuances', 'Docket Entries', 'Status', 'Remarks', 'URL'];
+    const rows = ageCases(jsonData.cases).map(withLeadType).map(c => {
       const ds = c.docketSummary || {};
       return [
-        c.leadGrade, c.leadScore, c.caseNumber, c.commencedDate, c.daysOpen, c.lastFilingDate || '',
+        c.leadGrade, c.leadScore, c.leadType, c.caseNumber, c.commencedDate, c.daysOpen, ds.lastFilingDate || '',
         `"${(c.plaintiff || '').replace(/"/g, '""')}"`, `"${(c.defendant || '').replace(/"/g, '""')}"`,
-        `"${(c.propertyAddress || '').replace(/"/g, '""')}"`, c.propertyCity, c.propertyState, c.propertyZip,
+        `"${(c.propertyAddress || '').replace(/"/g, '""')}"`, c.propertyCity, c.propertyState, c.propertyZip, c.parcelNumber || '',
+        c.equityEstimate?.equityRange?.low ?? '', c.equityEstimate?.equityRange?.high ?? '', c.equityEstimate?.confidence || '',
         c.hasJudgement ? 'Yes' : 'No', ds.hasDefendantAttorney ? 'Yes' : 'No', ds.hasDefendantResponse ? 'Yes' : 'No',
+        ds.hasDefaultMotion ? 'Yes' : 'No', ds.hasBankruptcy ? 'Yes' : 'No', ds.continuanceCount || 0, ds.entries || 0,
         c.status, `"${(c.remarks || '').replace(/"/g, '""')}"`, c.detailUrl
       ];
     });
@@ -369,6 +743,9 @@ ensureDataDir().then(() => {
     
     // Schedule pipeline scrape at 3 AM Eastern Time every day
     scheduleNightlyScrape();
+    
+    // Re-age and re-score stored cases once a day
+    scheduleDailyRescore();
   });
 });
 
@@ -404,13 +781,15 @@ function scheduleNightlyScrape() {
     setTimeout(async () => {
       console.log(`\n⏰ Starting scheduled 3 AM pipeline scrape...`);
       
-      // Check if CSV exists before starting
-      try {
-        await fs.access(CSV_FILE);
-      } catch (e) {
-        console.log('   ⚠️ No CSV file found, skipping scheduled scrape');
-        scheduleNext();
-        return;
+      // Cases come from the court's advanced search, so only a CSV-only setup needs the file
+      if (COURTS_CONFIG.caseSource === 'csv') {
+        try {
+          await fs.access(CSV_FILE);
+        } catch (e) {
+          console.log('   ⚠️ No CSV file found, skipping scheduled scrape');
+          scheduleNext();
+          return;
+        }
       }
       
       // Check if scrape is already in progress
@@ -419,12 +798,18 @@ function scheduleNightlyScrape() {
         scheduleNext();
         return;
       }
+      if (isPipelineRescoreInProgress) {
+        console.log('   ⚠️ Rescore in progress, skipping');
+        scheduleNext();
+        return;
+      }
       
       isPipelineScrapingInProgress = true;
       lastPipelineScrapeStatus = { started: new Date().toISOString(), status: 'running', scheduled: true };
       
       try {
-        const cases = await runPipelineScraper({ enableEnrichment: false });
+        // Cached lookups make enriching every case cheap once the cache is warm
+        const cases = await runPipelineScraper({ enableEnrichment: true });
         const grades = { A: 0, B: 0, C: 0, D: 0, F: 0 };
         const withAddress = cases.filter(c => c.propertyAddress).length;
         cases.forEach(c => grades[c.leadGrade || 'C']++);
@@ -456,3 +841,27 @@ function scheduleNightlyScrape() {
   
   scheduleNext();
 }
+
+// ============== DAILY AGING ==============
+
+// Case ages, and the score factors built on them, move every day even when nothing
+// is scraped. Checked hourly; stored cases are rescored once per calendar day.
+function scheduleDailyRescore() {
+  const CHECK_INTERVAL = 60 * 60 * 1000;
+  
+  async function rescoreIfStale() {
+    try {
+      const jsonData = JSON.parse(await fs.readFile(PIPELINE_DATA_FILE, 'utf8'));
+      if (jsonData.lastRescored && new Date(jsonData.lastRescored).toDateString() === new Date().toDateString()) return;
+      // Checked after the read so a scrape started meanwhile isn't missed
+      if (isPipelineScrapingInProgress || isPipelineRescoreInProgress) return;
+      console.log('\n📆 Daily re-aging of pipeline cases...');
+      await runPipelineRescore();
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.log(`   ❌ Daily rescore error: ${error.message}`);
+    }
+  }
+  
+  rescoreIfStale();
+  setInterval(rescoreIfStale, CHECK_INTERVAL);
+}